@@ -2,20 +2,8 @@
 let currentFile = null;
 let processedData = null;
 
-// VAT Business Logic Constants
-const VAT_INPUT_CODES = ['CASH', 'JC', 'JNL', 'SINV', 'JD', 'RC'];
-const VAT_OUTPUT_CODES = ['IS', 'INV', 'RTS'];
-const TAX_CODES = {
-    'CASH': { description: 'Cash Sale', type: 'input' },
-    'JC': { description: 'Journal Credit', type: 'input' },
-    'JNL': { description: 'Journal Entry', type: 'input' },
-    'SINV': { description: 'Supplier Invoice', type: 'input' },
-    'JD': { description: 'Journal Debit', type: 'input' },
-    'RC': { description: 'Receipt', type: 'input' },
-    'IS': { description: 'Invoice Sale', type: 'output' },
-    'INV': { description: 'Invoice', type: 'output' },
-    'RTS': { description: 'Returns', type: 'output' }
-};
+// VAT business rules (tax codes, rates, TrCode directions) come from
+// window.taxCodeRegistry (assets/js/tax-code-registry.js)
 
 // Navigation function
 function navigateToPage(pageId) {
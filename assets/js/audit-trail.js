@@ -0,0 +1,285 @@
+/**
+ * Audit Trail for VAT Calculator Pro
+ * Immutable records of what produced each archived VAT figure: the source
+ * file and its SHA-256 hash, rows accepted and skipped, the tax code
+ * registry and settings in force, manual adjustments, app version and
+ * timestamps. A record is added when a calculation is archived and again
+ * whenever its adjustments or review state (review-workflow.js) change,
+ * with the sign-offs at that point. Deleting the calculation or its expiry
+ * adds a closing record; the records themselves are never removed. They
+ * are frozen, never updated, and chained by digest (SHA-256 of the
+ * record), so a changed or removed record shows up in verify.
+ * Version: 1.0.0
+ */
+
+class AuditTrail {
+  constructor(config = {}) {
+    this.config = {
+      // Release recorded with every record (package.json and manifest.json version)
+      appVersion: config.appVersion || '1.0.0',
+      ...config
+    };
+  }
+
+  /**
+   * Record for one event of a calculation (see AuditTrail.EVENTS).
+   * calculation is the history summary (id, filename, timestamp, fileHash,
+   * review), results the full results, settings the snapshot archived with
+   * them and previous the last record of the calculation, if any
+   */
+  async createRecord({ event, calculation, results, settings, previous = null }) {
+    const adjustments = results.adjustments;
+    // A copy, so freezing it leaves the results and settings it came from alone
+    const record = JSON.parse(JSON.stringify({
+      calculationId: calculation.id,
+      sequence: previous ? previous.sequence + 1 : 1,
+      event,
+      appVersion: this.config.appVersion,
+      timestamps: {
+        calculated: calculation.timestamp,
+        recorded: new Date().toISOString()
+      },
+      file: {
+        name: calculation.filename,
+        hash: calculation.fileHash || null
+      },
+      rows: this.countRows(results),
+      period: results.periodCheck ? results.periodCheck.period.label : null,
+      figures: {
+        totalOutputVAT: results.totalOutputVAT,
+        totalInputVAT: results.totalInputVAT,
+        vatPayable: results.vatPayable,
+        ledgerVatPayable: adjustments ? adjustments.unadjusted.vatPayable : results.vatPayable
+      },
+      adjustments: adjustments ? adjustments.entries : [],
+      review: calculation.review
+        ? { state: calculation.review.state, signOffs: calculation.review.signOffs }
+        : null,
+      registry: settings ? settings.registry : null,
+      settings: settings
+        ? { company: settings.company, preferences: settings.preferences, tolerance: settings.tolerance }
+        : null,
+      previousDigest: previous ? previous.digest : null
+    }));
+    record.digest = await this.digest(record);
+    return this.freeze(record);
+  }
+
+  /**
+   * Record closing the trail of a calculation that is deleted or expires:
+   * the contents of its last record carried forward, as the calculation
+   * itself is gone
+   */
+  async createClosingRecord(event, previous) {
+    const record = JSON.parse(JSON.stringify(previous));
+    delete record.digest;
+    Object.assign(record, {
+      sequence: previous.sequence + 1,
+      event,
+      appVersion: this.config.appVersion,
+      timestamps: { ...record.timestamps, recorded: new Date().toISOString() },
+      previousDigest: previous.digest
+    });
+    record.digest = await this.digest(record);
+    return this.freeze(record);
+  }
+
+  /**
+   * accepted: rows in the VAT figures. skipped: rows left out (failed
+   * validation, duplicates, unknown TrCodes); outOfPeriod rows are
+   * reported apart from the figures
+   */
+  countRows(results) {
+    const summary = results.skippedRows ? results.skippedRows.summary : { count: 0, byReason: {} };
+    const skippedByReason = {};
+    Object.entries(summary.byReason || {}).forEach(([code, totals]) => {
+      skippedByReason[code] = totals.count;
+    });
+    const calculated = results.transactionCount !== undefined
+      ? results.transactionCount
+      : (results.transactions || []).length;
+    const outOfPeriod = results.periodCheck ? results.periodCheck.outOfPeriod.count : 0;
+
+    return {
+      calculated,
+      accepted: calculated - (skippedByReason.UNKNOWN_TR_CODE || 0) - outOfPeriod,
+      skipped: summary.count,
+      outOfPeriod,
+      skippedByReason
+    };
+  }
+
+  // Display
+
+  /**
+   * [label, value] lines for a record, shown on the history page and in
+   * the detailed PDF. reasons maps skipped-row codes to their labels
+   */
+  describe(record, reasons = {}) {
+    const hash = record.file.hash;
+    return [
+      ['Event', AuditTrail.EVENTS[record.event] || record.event],
+      ['Recorded', this.formatDate(record.timestamps.recorded)],
+      ['Calculated', this.formatDate(record.timestamps.calculated)],
+      ['App version', record.appVersion],
+      ['Source file', record.file.name],
+      ['File hash', hash ? `${hash.value} (${hash.algorithm})` : 'Not recorded'],
+      ['Rows', this.describeRows(record.rows, reasons)],
+      ['Return period', record.period || 'None selected'],
+      ...this.describeFigures(record),
+      ['Review', this.describeReview(record.review)],
+      ...this.describeRegistry(record.registry),
+      ...this.describeSettings(record.settings),
+      ['Digest', record.digest],
+      ['Previous digest', record.previousDigest || 'None (first record)']
+    ];
+  }
+
+  describeFigures(record) {
+    const { figures, adjustments } = record;
+    if (adjustments.length === 0) {
+      return [['VAT payable', this.formatAmount(figures.vatPayable)], ['Adjustments', 'None']];
+    }
+    return [
+      ['VAT payable', `${this.formatAmount(figures.ledgerVatPayable)} from ledger rows, ` +
+        `${this.formatAmount(figures.vatPayable)} after adjustments`],
+      ['Adjustments', adjustments.map(adjustment => `${adjustment.direction} ${adjustment.taxCode}: ` +
+        `VAT ${this.formatAmount(adjustment.vatAmount)}, ${adjustment.reason} (${adjustment.author})`).join('; ')]
+    ];
+  }
+
+  describeReview(review) {
+    if (!review) {
+      return 'Not recorded';
+    }
+    const signOffs = Object.entries(review.signOffs)
+      .map(([state, signOff]) => `${state} by ${signOff.by} (${this.formatDate(signOff.at)})`);
+    return [review.state, ...signOffs].join('; ');
+  }
+
+  describeRows(rows, reasons) {
+    const skipped = Object.entries(rows.skippedByReason)
+      .map(([code, count]) => `${count} × ${reasons[code] || code}`)
+      .join(', ');
+    return `${rows.accepted.toLocaleString('en-ZA')} accepted of ${rows.calculated.toLocaleString('en-ZA')}; ` +
+      `${rows.skipped.toLocaleString('en-ZA')} skipped${skipped ? ` (${skipped})` : ''}; ` +
+      `${rows.outOfPeriod.toLocaleString('en-ZA')} out of period`;
+  }
+
+  describeRegistry(registry) {
+    if (!registry) {
+      return [['Tax code registry', 'Not recorded']];
+    }
+    return [
+      ['Tax codes', Object.entries(registry.taxCodes || {})
+        .map(([code, info]) => `${code}: ${info.description} (${info.rate}%, ${info.category})`).join('; ')],
+      ['TrCodes', Object.entries(registry.trCodes || {})
+        .map(([code, info]) => `${code} (${info.direction})`).join(', ')],
+      ['Rate schedule', (registry.rateSchedule || [])
+        .map(period => `${period.rate}% from ${period.effectiveFrom}`).join(', ')]
+    ];
+  }
+
+  describeSettings(settings) {
+    if (!settings) {
+      return [['Settings', 'Not recorded']];
+    }
+    const company = settings.company || {};
+    return [
+      ['Reconciliation tolerance', settings.tolerance !== undefined ? String(settings.tolerance) : 'Default'],
+      ['Company', [company.name, company.vatNumber ? `VAT ${company.vatNumber}` : ''].filter(Boolean).join(', ') ||
+        'Not set']
+    ];
+  }
+
+  formatDate(value) {
+    return new Date(value).toLocaleString('en-ZA');
+  }
+
+  formatAmount(value) {
+    const amount = Number(value) || 0;
+    return `${amount < 0 ? '-' : ''}R ${Math.abs(amount).toLocaleString('en-ZA', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }
+
+  // Integrity
+
+  /**
+   * SHA-256 (hex) of the record without its digest, keys in sorted order
+   */
+  async digest(record) {
+    const content = { ...record };
+    delete content.digest;
+    const bytes = new TextEncoder().encode(this.canonicalize(content));
+    const hash = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(hash)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * JSON with object keys sorted and undefined values left out, so the
+   * same record always hashes the same after storage
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  freeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+      Object.values(value).forEach(child => this.freeze(child));
+      Object.freeze(value);
+    }
+    return value;
+  }
+
+  /**
+   * Check a calculation's records, in sequence order, against their
+   * digests and the chain. Resolves with { intact, problems }
+   */
+  async verify(records) {
+    const problems = [];
+    let previous = null;
+    for (const record of records) {
+      if (record.sequence !== (previous ? previous.sequence + 1 : 1)) {
+        problems.push(`Record ${previous ? previous.sequence + 1 : 1} is missing`);
+      }
+      if (record.previousDigest !== (previous ? previous.digest : null)) {
+        problems.push(`Record ${record.sequence} does not follow the record before it`);
+      }
+      if (await this.digest(record) !== record.digest) {
+        problems.push(`Record ${record.sequence} has been changed since it was recorded`);
+      }
+      previous = record;
+    }
+    return { intact: problems.length === 0, problems };
+  }
+}
+
+AuditTrail.EVENTS = {
+  calculated: 'Calculated and archived',
+  adjusted: 'Manual adjustments changed',
+  prepared: 'Marked as prepared',
+  reviewed: 'Signed off as reviewed',
+  locked: 'Locked for filing',
+  draft: 'Returned to draft',
+  deleted: 'Calculation deleted from history',
+  expired: 'Calculation removed after the retention period'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditTrail;
+}
+
+if (typeof window !== 'undefined') {
+  window.auditTrail = new AuditTrail();
+}
@@ -0,0 +1,457 @@
+/**
+ * Calculation Archive for VAT Calculator Pro
+ * IndexedDB store behind HistoryManager. Each calculation keeps a summary
+ * (the history list) and its detail: the full result object, the validated
+ * rows, and the settings it was calculated with. The summary records the
+ * SHA-256 hash of the source file. Detail is dropped oldest first when the
+ * browser's storage quota runs out; calculations older than the retention
+ * period are deleted. Both spare calculations locked for filing. History
+ * kept in localStorage by earlier versions is moved in on first use. Audit
+ * records (see audit-trail.js) are only ever added: they are kept when
+ * their calculation is deleted or expires.
+ * Version: 1.0.0
+ */
+
+class CalculationArchive {
+  constructor(config = {}) {
+    this.config = {
+      dbName: config.dbName || 'vatCalculatorArchive',
+      // History list before the archive (summaries only)
+      legacyStorageKey: config.legacyStorageKey || 'vatCalculatorHistory',
+      // Files up to this size are hashed in one piece; larger ones a slice this size at a time
+      hashChunkSize: config.hashChunkSize || 64 * 1024 * 1024,
+      ...config
+    };
+
+    this.db = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.config.dbName, 2);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('calculations')) {
+            db.createObjectStore('calculations', { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+          }
+          if (!db.objectStoreNames.contains('details')) {
+            db.createObjectStore('details', { keyPath: 'id' });
+          }
+          // Version 2: audit records, keyed by calculation and sequence number
+          if (!db.objectStoreNames.contains('audits')) {
+            db.createObjectStore('audits', { keyPath: ['calculationId', 'sequence'] });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Run action(stores) in one transaction; resolves with the value action
+   * returns (a request's result once the transaction completes)
+   */
+  async run(storeNames, mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const stores = {};
+      storeNames.forEach(name => {
+        stores[name] = transaction.objectStore(name);
+      });
+      const request = action(stores);
+      transaction.oncomplete = () => resolve(request && 'result' in request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  isQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+  }
+
+  // Calculations
+
+  /**
+   * Summaries of every archived calculation, newest first
+   */
+  async list() {
+    if (!this.isSupported()) {
+      return [];
+    }
+    const summaries = await this.run(['calculations'], 'readonly', stores => stores.calculations.getAll());
+    return summaries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Summary plus detail ({ results, rows, settings }); detail fields are
+   * null when it was never stored or has been dropped for space
+   */
+  async get(id) {
+    if (!this.isSupported()) {
+      return null;
+    }
+    let summaryRequest;
+    const detail = await this.run(['calculations', 'details'], 'readonly', stores => {
+      summaryRequest = stores.calculations.get(id);
+      return stores.details.get(id);
+    });
+    const summary = summaryRequest.result;
+    if (!summary) {
+      return null;
+    }
+    return {
+      ...summary,
+      results: detail ? detail.results : null,
+      rows: detail ? detail.rows : null,
+      settings: detail ? detail.settings : null
+    };
+  }
+
+  /**
+   * Archive a calculation. summary needs an id and timestamp; detail is
+   * { results, rows, settings }. When storage is full, the detail of older
+   * calculations is dropped until this one fits, and as a last resort only
+   * its summary is kept. Resolves with the summary as stored
+   * (detailStored tells which happened).
+   */
+  async add(summary, detail) {
+    if (!this.isSupported()) {
+      return { ...summary, detailStored: false };
+    }
+
+    const entry = { ...summary, detailStored: true };
+    for (;;) {
+      try {
+        await this.run(['calculations', 'details'], 'readwrite', stores => {
+          stores.calculations.put(entry);
+          return stores.details.put({ id: entry.id, ...detail });
+        });
+        return entry;
+      } catch (error) {
+        if (!this.isQuotaError(error)) {
+          throw error;
+        }
+        const dropped = await this.dropOldestDetail(entry.id);
+        if (!dropped) {
+          const summaryOnly = { ...summary, detailStored: false };
+          await this.run(['calculations'], 'readwrite', stores => stores.calculations.put(summaryOnly));
+          return summaryOnly;
+        }
+        console.warn(`Archive storage full: dropped row-level detail of calculation ${dropped}`);
+      }
+    }
+  }
+
+  /**
+   * Merge changes into the summary of an archived calculation and, when
+   * its detail is still stored, replace the results in it (rows and
+   * settings are kept). Resolves with the summary as stored, or null
+   */
+  async update(id, changes, results = null) {
+    if (!this.isSupported()) {
+      return null;
+    }
+    let summary = null;
+    await this.run(['calculations', 'details'], 'readwrite', stores => {
+      stores.calculations.get(id).onsuccess = event => {
+        if (event.target.result) {
+          summary = { ...event.target.result, ...changes };
+          stores.calculations.put(summary);
+        }
+      };
+      if (results) {
+        stores.details.get(id).onsuccess = event => {
+          if (event.target.result) {
+            stores.details.put({ ...event.target.result, results });
+          }
+        };
+      }
+    });
+    return summary;
+  }
+
+  /**
+   * Remove the detail of the oldest calculation that still has it (other
+   * than exceptId and locked calculations), keeping its summary. Resolves
+   * with its id, or null
+   */
+  async dropOldestDetail(exceptId) {
+    const summaries = await this.list();
+    const oldest = summaries.reverse()
+      .find(summary => summary.detailStored && summary.id !== exceptId && !this.isLocked(summary));
+    if (!oldest) {
+      return null;
+    }
+    await this.run(['calculations', 'details'], 'readwrite', stores => {
+      stores.details.delete(oldest.id);
+      return stores.calculations.put({ ...oldest, detailStored: false });
+    });
+    return oldest.id;
+  }
+
+  async delete(id) {
+    if (!this.isSupported()) {
+      return;
+    }
+    await this.run(['calculations', 'details'], 'readwrite', stores => {
+      stores.details.delete(id);
+      return stores.calculations.delete(id);
+    });
+  }
+
+  async clear() {
+    if (!this.isSupported()) {
+      return;
+    }
+    await this.run(['calculations', 'details'], 'readwrite', stores => {
+      stores.details.clear();
+      return stores.calculations.clear();
+    });
+  }
+
+  /**
+   * Locked for filing (see review-workflow.js): never pruned, and its
+   * detail is not dropped for space
+   */
+  isLocked(summary) {
+    return Boolean(summary.review) && summary.review.state === 'locked';
+  }
+
+  /**
+   * Delete calculations older than retentionMonths (settings
+   * storage.dataRetention), except locked ones, keeping their audit
+   * records. Resolves with the ids removed
+   */
+  async prune(retentionMonths) {
+    if (!this.isSupported() || !(retentionMonths > 0)) {
+      return [];
+    }
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - retentionMonths);
+
+    const expired = (await this.list())
+      .filter(summary => new Date(summary.timestamp) < cutoff && !this.isLocked(summary))
+      .map(summary => summary.id);
+    if (expired.length > 0) {
+      await this.run(['calculations', 'details'], 'readwrite', stores => {
+        expired.forEach(id => {
+          stores.details.delete(id);
+          stores.calculations.delete(id);
+        });
+      });
+    }
+    return expired;
+  }
+
+  // Audit records
+
+  /**
+   * Store an audit record. add (not put) fails when the calculation
+   * already has a record with its sequence number, so none is overwritten
+   */
+  async addAudit(record) {
+    if (!this.isSupported()) {
+      return;
+    }
+    await this.run(['audits'], 'readwrite', stores => stores.audits.add(record));
+  }
+
+  /**
+   * Audit records of a calculation, oldest first
+   */
+  async getAudits(calculationId) {
+    if (!this.isSupported()) {
+      return [];
+    }
+    return this.run(['audits'], 'readonly', stores => stores.audits.getAll(this.getAuditRange(calculationId)));
+  }
+
+  getAuditRange(calculationId) {
+    return IDBKeyRange.bound([calculationId, 0], [calculationId, Infinity]);
+  }
+
+  /**
+   * Move history saved in localStorage by earlier versions into the
+   * archive (as summaries without detail), then remove it. Resolves with
+   * the number of calculations moved
+   */
+  async migrate() {
+    if (!this.isSupported() || typeof localStorage === 'undefined') {
+      return 0;
+    }
+
+    let legacy;
+    try {
+      legacy = JSON.parse(localStorage.getItem(this.config.legacyStorageKey) || '[]');
+    } catch (error) {
+      console.warn('Failed to read localStorage history for migration:', error);
+      return 0;
+    }
+    const entries = (Array.isArray(legacy) ? legacy : []).filter(entry => entry && entry.id !== undefined);
+
+    if (entries.length > 0) {
+      await this.run(['calculations'], 'readwrite', stores => {
+        entries.forEach(entry => {
+          stores.calculations.put({ ...entry, fileHash: entry.fileHash || null, detailStored: false, migrated: true });
+        });
+      });
+    }
+    localStorage.removeItem(this.config.legacyStorageKey);
+    return entries.length;
+  }
+
+  // Source files
+
+  /**
+   * SHA-256 of a File/Blob as { algorithm, value (hex) }, the digest
+   * sha256sum gives for the file. Files larger than hashChunkSize are read
+   * a slice at a time into an incremental hash to bound memory; onChunk
+   * (bytes hashed, file size) is awaited after each slice, so the caller can
+   * report progress or throw to stop
+   */
+  async hashFile(file, onChunk = null) {
+    if (!file) {
+      return null;
+    }
+
+    const chunkSize = this.config.hashChunkSize;
+    if (file.size <= chunkSize && typeof crypto !== 'undefined' && crypto.subtle) {
+      const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+      return { algorithm: 'SHA-256', value: this.toHex(digest) };
+    }
+
+    const hash = new IncrementalSha256();
+    for (let start = 0; start < file.size; start += chunkSize) {
+      hash.update(new Uint8Array(await file.slice(start, start + chunkSize).arrayBuffer()));
+      if (onChunk) {
+        await onChunk(Math.min(start + chunkSize, file.size), file.size);
+      }
+    }
+    return { algorithm: 'SHA-256', value: this.toHex(hash.digest()) };
+  }
+
+  toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+/**
+ * SHA-256 fed a piece at a time (crypto.subtle only hashes a whole
+ * buffer), for source files too large to read into memory at once
+ */
+class IncrementalSha256 {
+  constructor() {
+    this.state = Uint32Array.from(IncrementalSha256.INITIAL_STATE);
+    this.words = new Uint32Array(64);
+    // Bytes of a 64-byte block waiting for the rest of it
+    this.block = new Uint8Array(64);
+    this.blockLength = 0;
+    this.length = 0;
+  }
+
+  update(bytes) {
+    this.length += bytes.length;
+    let offset = 0;
+    if (this.blockLength > 0) {
+      offset = Math.min(64 - this.blockLength, bytes.length);
+      this.block.set(bytes.subarray(0, offset), this.blockLength);
+      this.blockLength += offset;
+      if (this.blockLength < 64) {
+        return this;
+      }
+      this.compress(this.block, 0);
+      this.blockLength = 0;
+    }
+    for (; offset + 64 <= bytes.length; offset += 64) {
+      this.compress(bytes, offset);
+    }
+    this.block.set(bytes.subarray(offset));
+    this.blockLength = bytes.length - offset;
+    return this;
+  }
+
+  /**
+   * Digest (32 bytes) after the padding and message length are added
+   */
+  digest() {
+    const bitLength = this.length * 8;
+    const padding = new Uint8Array((this.blockLength < 56 ? 64 : 128) - this.blockLength);
+    padding[0] = 0x80;
+    const lengthView = new DataView(padding.buffer);
+    lengthView.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+    lengthView.setUint32(padding.length - 4, bitLength >>> 0);
+    this.update(padding);
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    this.state.forEach((word, index) => digestView.setUint32(index * 4, word));
+    return digest;
+  }
+
+  compress(bytes, offset) {
+    const w = this.words;
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = this.rotate(w[i - 15], 7) ^ this.rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = this.rotate(w[i - 2], 17) ^ this.rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = this.state;
+    for (let i = 0; i < 64; i++) {
+      const s1 = this.rotate(e, 6) ^ this.rotate(e, 11) ^ this.rotate(e, 25);
+      const t1 = (h + s1 + ((e & f) ^ (~e & g)) + IncrementalSha256.K[i] + w[i]) | 0;
+      const s0 = this.rotate(a, 2) ^ this.rotate(a, 13) ^ this.rotate(a, 22);
+      const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, index) => {
+      this.state[index] += value;
+    });
+  }
+
+  rotate(value, bits) {
+    return (value >>> bits) | (value << (32 - bits));
+  }
+}
+
+IncrementalSha256.INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+IncrementalSha256.K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CalculationArchive;
+}
+
+if (typeof window !== 'undefined') {
+  window.calculationArchive = new CalculationArchive();
+}
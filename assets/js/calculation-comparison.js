@@ -0,0 +1,424 @@
+/**
+ * Calculation Comparison for VAT Calculator Pro
+ * Compares two or more archived calculations period over period: totals,
+ * VAT per tax code and per TrCode side by side, with the change from each
+ * earlier calculation to the latest one. Large swings are highlighted.
+ * Renders the comparison page and exports it to Excel and PDF.
+ * Version: 1.0.0
+ */
+
+class CalculationComparison {
+  constructor(config = {}) {
+    this.config = {
+      // A change is a large swing when it passes both thresholds
+      swingPercent: config.swingPercent || 20,
+      swingAmount: config.swingAmount !== undefined ? config.swingAmount : 1000,
+      ...config
+    };
+  }
+
+  static getTotals() {
+    return [
+      { key: 'totalOutputVAT', label: 'Output VAT' },
+      { key: 'totalInputVAT', label: 'Input VAT' },
+      { key: 'vatPayable', label: 'VAT payable' },
+      { key: 'salesExcludingVAT', label: 'Sales excluding VAT' },
+      { key: 'salesIncludingVAT', label: 'Sales including VAT' },
+      { key: 'zeroRatedSales', label: 'Zero-rated sales' },
+      { key: 'transactionCount', label: 'Transactions', count: true }
+    ];
+  }
+
+  // Comparison
+
+  /**
+   * calculations: HistoryManager summaries with results (the archived
+   * result object, or null when only totals were kept). Columns are
+   * ordered by return period (or calculation date when there is none),
+   * and the last one is compared with each earlier one.
+   */
+  compare(calculations) {
+    if (calculations.length < 2) {
+      throw new Error('Select two or more calculations to compare.');
+    }
+
+    const columns = calculations
+      .map(calculation => this.toColumn(calculation))
+      .sort((a, b) => a.sortKey - b.sortKey || new Date(a.timestamp) - new Date(b.timestamp));
+
+    const sections = [
+      {
+        key: 'totals',
+        title: 'Totals',
+        rows: CalculationComparison.getTotals().map(({ key, label, count }) => this.createRow(label,
+          columns.map(column => (typeof column.totals[key] === 'number' ? column.totals[key] : null)), count))
+      },
+      { key: 'taxCodes', title: 'VAT by tax code', rows: this.getTaxCodeRows(columns) },
+      { key: 'trCodes', title: 'VAT by TrCode', rows: this.getTrCodeRows(columns) }
+    ];
+
+    return {
+      columns: columns.map(column => ({
+        id: column.id,
+        filename: column.filename,
+        timestamp: column.timestamp,
+        label: column.label,
+        detail: column.detail
+      })),
+      sections,
+      swings: sections.reduce((count, section) => {
+        return count + section.rows.filter(row => row.changes.some(change => change && change.swing)).length;
+      }, 0)
+    };
+  }
+
+  toColumn(calculation) {
+    const results = calculation.results || null;
+    const period = results && results.periodCheck ? results.periodCheck.period : null;
+    const date = new Date(calculation.timestamp);
+    return {
+      id: calculation.id,
+      filename: calculation.filename,
+      timestamp: calculation.timestamp,
+      label: period ? period.label : date.toLocaleDateString('en-ZA'),
+      sortKey: period ? period.endIndex : date.getFullYear() * 12 + date.getMonth(),
+      detail: Boolean(results),
+      totals: results || calculation,
+      results
+    };
+  }
+
+  /**
+   * Row with the change from each earlier column to the last one
+   */
+  createRow(label, values, count = false) {
+    const current = values[values.length - 1];
+    const changes = values.slice(0, -1).map(value => {
+      if (value === null || current === null) {
+        return null;
+      }
+      const amount = this.round(current - value);
+      const percent = value !== 0 ? this.round((amount / Math.abs(value)) * 100) : null;
+      const swing = !count && Math.abs(amount) >= this.config.swingAmount &&
+        (percent === null || Math.abs(percent) >= this.config.swingPercent);
+      return { amount, percent, swing };
+    });
+    return { label, values, changes, count };
+  }
+
+  getTaxCodeRows(columns) {
+    const codes = new Map();
+    columns.forEach(column => {
+      Object.entries(column.results ? column.results.taxCodeBreakdown : {}).forEach(([code, breakdown]) => {
+        ['output', 'input'].forEach(side => {
+          if (breakdown[side].count > 0) {
+            codes.set(`${code}|${side}`, { code, side, description: breakdown.description });
+          }
+        });
+      });
+    });
+
+    return [...codes.values()]
+      .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }) || b.side.localeCompare(a.side))
+      .map(({ code, side, description }) => this.createRow(
+        `${code} ${description} (${side})`,
+        columns.map(column => {
+          if (!column.results) {
+            return null;
+          }
+          const breakdown = column.results.taxCodeBreakdown[code];
+          return breakdown ? this.round(breakdown[side].vatAmount) : 0;
+        })
+      ));
+  }
+
+  getTrCodeRows(columns) {
+    const breakdowns = columns.map(column => (column.results ? this.getTrCodeBreakdown(column.results) : null));
+    const trCodes = new Map();
+    breakdowns.forEach(breakdown => {
+      Object.entries(breakdown || {}).forEach(([trCode, totals]) => trCodes.set(trCode, totals.direction));
+    });
+
+    return [...trCodes.keys()].sort().map(trCode => this.createRow(
+      `${trCode} (${trCodes.get(trCode)})`,
+      breakdowns.map(breakdown => {
+        if (!breakdown) {
+          return null;
+        }
+        return breakdown[trCode] ? breakdown[trCode].vatAmount : 0;
+      })
+    ));
+  }
+
+  /**
+   * results.trCodeBreakdown, or the same totals rebuilt from the tax code
+   * transaction lists for calculations archived before it existed
+   */
+  getTrCodeBreakdown(results) {
+    if (results.trCodeBreakdown) {
+      return results.trCodeBreakdown;
+    }
+
+    const breakdown = {};
+    Object.values(results.taxCodeBreakdown || {}).forEach(taxCode => {
+      ['input', 'output'].forEach(side => {
+        taxCode[side].transactions.forEach(row => {
+          if (!breakdown[row.TrCode]) {
+            breakdown[row.TrCode] = { direction: side, count: 0, vatAmount: 0, exclAmount: 0 };
+          }
+          breakdown[row.TrCode].count++;
+          breakdown[row.TrCode].vatAmount += row.TaxAmount;
+          breakdown[row.TrCode].exclAmount += row.ExclAmount;
+        });
+      });
+    });
+    Object.values(breakdown).forEach(totals => {
+      totals.vatAmount = this.round(totals.vatAmount);
+      totals.exclAmount = this.round(totals.exclAmount);
+    });
+    return breakdown;
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+
+  // Page
+
+  /**
+   * Checkbox list of history entries (HistoryManager summaries) to compare
+   */
+  renderSelection(history) {
+    const container = document.getElementById('comparison-selection');
+    if (!container) {
+      return;
+    }
+
+    if (history.length === 0) {
+      container.innerHTML = '<p class="registry-help">No calculations in history yet.</p>';
+      return;
+    }
+
+    container.innerHTML = history.map(calculation => `
+      <label class="comparison-option">
+        <input type="checkbox" value="${this.escapeHtml(calculation.id)}">
+        <span>${this.escapeHtml(calculation.filename)}</span>
+        <span class="comparison-option-meta">
+          ${new Date(calculation.timestamp).toLocaleDateString('en-ZA')} · ${this.formatAmount(calculation.vatPayable)}
+          ${calculation.detailStored === false ? ' · totals only' : ''}
+        </span>
+      </label>
+    `).join('');
+  }
+
+  getSelectedIds() {
+    return [...document.querySelectorAll('#comparison-selection input:checked')].map(input => input.value);
+  }
+
+  render(comparison) {
+    const container = document.getElementById('comparison-results');
+    if (!container) {
+      return;
+    }
+    container.style.display = 'block';
+
+    const { columns } = comparison;
+    const current = columns[columns.length - 1];
+    const earlier = columns.slice(0, -1);
+    const heading = column => `${this.escapeHtml(column.label)}<br><small>${this.escapeHtml(column.filename)}</small>`;
+    const swingText = comparison.swings > 0
+      ? `${comparison.swings} line${comparison.swings === 1 ? '' : 's'} moved by ${this.config.swingPercent}% ` +
+        `and ${this.formatAmount(this.config.swingAmount)} or more (highlighted).`
+      : 'No large swings.';
+    const totalsOnlyText = columns.some(column => !column.detail)
+      ? 'Calculations kept as totals only have no tax code or TrCode figures.'
+      : '';
+
+    container.innerHTML = `
+      <p class="registry-help">
+        Changes are from each earlier calculation to ${this.escapeHtml(current.label)}.
+        ${swingText} ${totalsOnlyText}
+      </p>
+      ${comparison.sections.filter(section => section.rows.length > 0).map(section => `
+        <h3>${this.escapeHtml(section.title)}</h3>
+        <div class="period-comparison-table">
+          <table class="transaction-table">
+            <thead>
+              <tr>
+                <th></th>
+                ${columns.map(column => `<th class="amount">${heading(column)}</th>`).join('')}
+                ${earlier.map(column => `<th class="amount">Change vs ${this.escapeHtml(column.label)}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${section.rows.map(row => `
+                <tr>
+                  <td>${this.escapeHtml(row.label)}</td>
+                  ${row.values.map(value => `<td class="amount">${this.formatValue(value, row.count)}</td>`).join('')}
+                  ${row.changes.map(change => `
+                    <td class="amount${change && change.swing ? ' comparison-swing' : ''}">
+                      ${this.formatChange(change, row.count)}
+                    </td>
+                  `).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  formatAmount(value) {
+    return `${value < 0 ? '-' : ''}R ${Math.abs(value).toLocaleString('en-ZA', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }
+
+  formatValue(value, count = false) {
+    if (value === null) {
+      return '—';
+    }
+    return count ? value.toLocaleString('en-ZA') : this.formatAmount(value);
+  }
+
+  formatChange(change, count = false) {
+    if (!change) {
+      return '—';
+    }
+    const amount = `${change.amount > 0 ? '+' : ''}${this.formatValue(change.amount, count)}`;
+    if (change.percent === null) {
+      return change.amount === 0 ? amount : `${amount} (new)`;
+    }
+    return `${amount} (${change.percent > 0 ? '+' : ''}${change.percent.toFixed(1)}%)`;
+  }
+
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Exports
+
+  /**
+   * Rows for one section of the export: values, then the change and
+   * percentage change against each earlier calculation
+   */
+  getSectionData(comparison, section) {
+    const earlier = comparison.columns.slice(0, -1);
+    const header = [
+      section.title,
+      ...comparison.columns.map(column => `${column.label} (${column.filename})`),
+      ...earlier.flatMap(column => [`Change vs ${column.label}`, '%', 'Large swing'])
+    ];
+    return [header, ...section.rows.map(row => [
+      row.label,
+      ...row.values.map(value => (value === null ? '' : value)),
+      ...row.changes.flatMap(change => (change
+        ? [change.amount, change.percent === null ? '' : change.percent / 100, change.swing ? 'Yes' : '']
+        : ['', '', '']))
+    ])];
+  }
+
+  /**
+   * Workbook with one sheet per section (XLSX from the page)
+   */
+  toWorkbook(comparison) {
+    const wb = XLSX.utils.book_new();
+    comparison.sections.forEach(section => {
+      const ws = XLSX.utils.aoa_to_sheet(this.getSectionData(comparison, section));
+      const range = XLSX.utils.decode_range(ws['!ref']);
+      const changeColumns = comparison.columns.length;
+      for (let r = 1; r <= range.e.r; r++) {
+        for (let c = 1; c <= range.e.c; c++) {
+          const cell = ws[XLSX.utils.encode_cell({ r, c })];
+          if (cell && cell.t === 'n') {
+            const isPercent = c > changeColumns && (c - changeColumns) % 3 === 2;
+            cell.z = isPercent ? '0.0%' : '#,##0.00_);(#,##0.00)';
+          }
+        }
+      }
+      ws['!cols'] = [{ wch: 45 }, ...new Array(range.e.c).fill({ wch: 18 })];
+      XLSX.utils.book_append_sheet(wb, ws, section.title.slice(0, 31));
+    });
+    return wb;
+  }
+
+  /**
+   * Landscape PDF of the comparison (jsPDF constructor from the page)
+   */
+  toPDF(comparison, jsPDF) {
+    const pdf = new jsPDF({ orientation: 'landscape' });
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = 12;
+    const columnCount = comparison.columns.length * 2 - 1;
+    const labelWidth = 70;
+    const columnWidth = (pageWidth - margin * 2 - labelWidth) / columnCount;
+    let y = margin + 6;
+
+    const newPageIfNeeded = height => {
+      if (y + height > pageHeight - margin) {
+        pdf.addPage();
+        y = margin + 6;
+      }
+    };
+    const cellText = (text, x, width, align = 'right') => {
+      const lines = pdf.splitTextToSize(String(text), width - 2);
+      pdf.text(lines[0], align === 'right' ? x + width - 1 : x, y, { align });
+    };
+
+    pdf.setFontSize(16);
+    pdf.text('VAT Calculation Comparison', margin, y);
+    y += 7;
+    pdf.setFontSize(9);
+    const current = comparison.columns[comparison.columns.length - 1];
+    pdf.text(`Generated ${new Date().toLocaleString('en-ZA')}. Changes are to ${current.label}; large swings ` +
+      `(${this.config.swingPercent}% and ${this.formatAmount(this.config.swingAmount)}) are marked *.`, margin, y);
+    y += 8;
+
+    comparison.sections.filter(section => section.rows.length > 0).forEach(section => {
+      newPageIfNeeded(20);
+      pdf.setFontSize(11);
+      pdf.setFont(undefined, 'bold');
+      pdf.text(section.title, margin, y);
+      y += 6;
+
+      pdf.setFontSize(7);
+      const headers = [
+        ...comparison.columns.map(column => column.label),
+        ...comparison.columns.slice(0, -1).map(column => `vs ${column.label}`)
+      ];
+      headers.forEach((header, index) => cellText(header, margin + labelWidth + index * columnWidth, columnWidth));
+      y += 5;
+      pdf.setFont(undefined, 'normal');
+
+      section.rows.forEach(row => {
+        newPageIfNeeded(5);
+        cellText(row.label, margin, labelWidth, 'left');
+        const cells = [
+          ...row.values.map(value => this.formatValue(value, row.count)),
+          ...row.changes.map(change => `${this.formatChange(change, row.count)}${change && change.swing ? ' *' : ''}`)
+        ];
+        cells.forEach((text, index) => cellText(text, margin + labelWidth + index * columnWidth, columnWidth));
+        y += 4.5;
+      });
+      y += 5;
+    });
+
+    return pdf;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CalculationComparison;
+}
+
+if (typeof window !== 'undefined') {
+  window.calculationComparison = new CalculationComparison();
+}
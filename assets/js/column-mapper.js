@@ -0,0 +1,430 @@
+/**
+ * Column Mapping Wizard for VAT Calculator Pro
+ * Maps non-standard ledger headers onto the columns validateExcelData
+ * expects, with named profiles keyed by header signature
+ * Version: 1.0.0
+ */
+
+class ColumnMappingManager {
+  constructor(config = {}) {
+    this.config = {
+      storageKey: config.storageKey || 'vatCalculatorColumnProfiles',
+      previewRows: config.previewRows || 5,
+      ...config
+    };
+
+    this.requiredFields = ['TaxCode', 'TaxDescription', 'TrCode', 'TaxRate', 'TaxAmount', 'ExclAmount', 'InclAmount'];
+    this.optionalFields = ['TxDate', 'Reference'];
+
+    // Normalised header aliases seen in Sage, Evolution and Pastel exports
+    this.aliases = {
+      TaxCode: ['taxcode', 'vatcode', 'taxtype', 'vattype'],
+      TaxDescription: ['taxdescription', 'vatdescription', 'taxdesc', 'vatdesc', 'taxname'],
+      TrCode: ['trcode', 'transactioncode', 'transcode', 'doctype', 'documenttype'],
+      TaxRate: ['taxrate', 'vatrate', 'taxpercent', 'vatpercent', 'rate'],
+      TaxAmount: ['taxamount', 'vatamount', 'taxamt', 'vatamt', 'vat', 'tax'],
+      ExclAmount: ['exclamount', 'exclusiveamount', 'amountexcl', 'netamount', 'net', 'exclusive'],
+      InclAmount: ['inclamount', 'inclusiveamount', 'amountincl', 'grossamount', 'gross', 'total'],
+      TxDate: ['txdate', 'transactiondate', 'docdate', 'date'],
+      Reference: ['reference', 'ref', 'refno', 'invoiceno', 'documentno']
+    };
+
+    this.pending = null;
+    this.profiles = this.loadProfiles();
+  }
+
+  /**
+   * Lower-case and strip everything but letters and digits
+   */
+  normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Header row of a worksheet, as displayed in the file
+   */
+  getHeaders(workbook, sheetName = workbook.SheetNames[0]) {
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+      return [];
+    }
+    const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false });
+    return (rows[0] || []).map(header => String(header === undefined ? '' : header).trim());
+  }
+
+  /**
+   * Stable key for a header layout: order and case do not matter
+   */
+  getHeaderSignature(headers) {
+    return headers
+      .map(header => this.normalizeHeader(header))
+      .filter(header => header !== '')
+      .sort()
+      .join('|');
+  }
+
+  /**
+   * Required columns that are not present verbatim
+   */
+  getMissingFields(headers) {
+    return this.requiredFields.filter(field => !headers.includes(field));
+  }
+
+  /**
+   * Best-guess mapping of required/optional fields to file headers
+   */
+  suggestMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    const fields = [...this.requiredFields, ...this.optionalFields];
+
+    // Exact and alias matches first so fuzzy matches can't steal them
+    fields.forEach(field => {
+      const candidates = [this.normalizeHeader(field), ...this.aliases[field]];
+      let match = null;
+      candidates.some(candidate => {
+        match = headers.find(header => !used.has(header) && this.normalizeHeader(header) === candidate);
+        return match;
+      });
+      if (match) {
+        mapping[field] = match;
+        used.add(match);
+      }
+    });
+
+    fields.forEach(field => {
+      if (mapping[field]) {
+        return;
+      }
+      const target = this.normalizeHeader(field);
+      const match = headers.find(header => {
+        const normalized = this.normalizeHeader(header);
+        return !used.has(header) && normalized.length > 2 &&
+          (normalized.includes(target) || target.includes(normalized));
+      });
+      if (match) {
+        mapping[field] = match;
+        used.add(match);
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Rename header cells in place so the standard validation path sees
+   * the expected column names
+   */
+  applyMapping(workbook, mapping, sheetNames = workbook.SheetNames) {
+    sheetNames.forEach(sheetName => {
+      const worksheet = workbook.Sheets[sheetName];
+      if (!worksheet || !worksheet['!ref']) {
+        return;
+      }
+
+      const range = XLSX.utils.decode_range(worksheet['!ref']);
+      for (let col = range.s.c; col <= range.e.c; col++) {
+        const address = XLSX.utils.encode_cell({ r: range.s.r, c: col });
+        const cell = worksheet[address];
+        if (!cell) {
+          continue;
+        }
+
+        const header = String(cell.v).trim();
+        const mapped = this.mapHeader(header, mapping);
+        if (mapped !== header) {
+          worksheet[address] = { t: 's', v: mapped, w: mapped };
+        }
+      }
+    });
+
+    workbook.columnMapping = { ...mapping };
+    return workbook;
+  }
+
+  /**
+   * Name a header takes under a mapping (also used for streamed files,
+   * whose header row never sits in a worksheet)
+   */
+  mapHeader(header, mapping) {
+    const field = Object.keys(mapping).find(key => mapping[key] === header);
+    if (field) {
+      return field;
+    }
+    // An unmapped column already carrying a field name would shadow the mapped one
+    return Object.prototype.hasOwnProperty.call(mapping, header) ? `${header} (unmapped)` : header;
+  }
+
+  /**
+   * Mapped preview rows using the current mapping
+   */
+  getPreviewRows(workbook, mapping, sheetName = workbook.SheetNames[0]) {
+    const worksheet = workbook.Sheets[sheetName];
+    const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '' }).slice(0, this.config.previewRows);
+    return rows.map(row => {
+      const mapped = {};
+      Object.keys(mapping).forEach(field => {
+        mapped[field] = mapping[field] ? row[mapping[field]] : '';
+      });
+      return mapped;
+    });
+  }
+
+  // Profile storage
+
+  loadProfiles() {
+    if (typeof localStorage === 'undefined') {
+      return [];
+    }
+    try {
+      const saved = localStorage.getItem(this.config.storageKey);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.warn('Failed to load column mapping profiles:', error);
+      return [];
+    }
+  }
+
+  saveProfiles() {
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(this.profiles));
+    } catch (error) {
+      console.warn('Failed to save column mapping profiles:', error);
+    }
+  }
+
+  findProfile(headers) {
+    const signature = this.getHeaderSignature(headers);
+    return this.profiles.find(profile => profile.signature === signature) || null;
+  }
+
+  /**
+   * Save or replace the profile for a header layout
+   */
+  saveProfile(name, headers, mapping) {
+    const signature = this.getHeaderSignature(headers);
+    const existing = this.profiles.find(profile => profile.signature === signature);
+    const profile = {
+      id: existing ? existing.id : Date.now(),
+      name: name.trim(),
+      signature,
+      headers: [...headers],
+      mapping: { ...mapping },
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      lastUsed: new Date().toISOString()
+    };
+
+    this.profiles = this.profiles.filter(item => item.signature !== signature);
+    this.profiles.unshift(profile);
+    this.saveProfiles();
+    return profile;
+  }
+
+  deleteProfile(id) {
+    this.profiles = this.profiles.filter(profile => profile.id !== id);
+    this.saveProfiles();
+  }
+
+  touchProfile(profile) {
+    profile.lastUsed = new Date().toISOString();
+    this.saveProfiles();
+  }
+
+  /**
+   * Resolve the mapping for an uploaded workbook: standard headers pass
+   * through, a saved profile is applied silently, otherwise the wizard is
+   * shown. Resolves with { workbook, profile }; rejects on cancel.
+   */
+  async prepareWorkbook(workbook, options = {}) {
+    const sheetNames = options.sheetNames || workbook.SheetNames.slice(0, 1);
+    const headers = this.getHeaders(workbook, sheetNames[0]);
+
+    if (this.getMissingFields(headers).length === 0) {
+      return { workbook, profile: null };
+    }
+
+    const profile = this.findProfile(headers);
+    if (profile) {
+      this.touchProfile(profile);
+      return { workbook: this.applyMapping(workbook, profile.mapping, sheetNames), profile };
+    }
+
+    if (typeof options.onMappingRequired === 'function') {
+      options.onMappingRequired();
+    }
+
+    const mapping = await this.requestMapping(workbook, headers, sheetNames[0]);
+    return { workbook: this.applyMapping(workbook, mapping, sheetNames), profile: null };
+  }
+
+  // Wizard UI
+
+  /**
+   * Render the wizard and wait for the user to apply or cancel
+   */
+  requestMapping(workbook, headers, sheetName = workbook.SheetNames[0]) {
+    if (this.pending) {
+      this.pending.reject(new Error('Column mapping was superseded by a new upload.'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { workbook, sheetName, headers, resolve, reject, mapping: this.suggestMapping(headers) };
+      this.renderWizard();
+    });
+  }
+
+  renderWizard() {
+    const container = document.getElementById('mapping-fields');
+    if (!container || !this.pending) {
+      return;
+    }
+
+    const { headers, mapping } = this.pending;
+    const fields = [...this.requiredFields, ...this.optionalFields];
+    const options = headers
+      .filter(header => header !== '')
+      .map(header => `<option value="${this.escapeHtml(header)}">${this.escapeHtml(header)}</option>`)
+      .join('');
+
+    container.innerHTML = fields.map(field => {
+      const required = this.requiredFields.includes(field);
+      return `
+        <div class="form-group">
+          <label for="map-${field}">${field}${required ? ' <span class="required">*</span>' : ''}</label>
+          <select id="map-${field}" data-field="${field}">
+            <option value="">${required ? '-- Select column --' : '-- Not mapped --'}</option>
+            ${options}
+          </select>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('select').forEach(select => {
+      select.value = mapping[select.dataset.field] || '';
+      select.addEventListener('change', () => {
+        this.pending.mapping[select.dataset.field] = select.value;
+        this.renderPreview();
+      });
+    });
+
+    const nameInput = document.getElementById('mapping-profile-name');
+    if (nameInput) {
+      nameInput.value = '';
+    }
+
+    this.renderPreview();
+  }
+
+  renderPreview() {
+    const preview = document.getElementById('mapping-preview');
+    const status = document.getElementById('mapping-status');
+    if (!preview || !this.pending) {
+      return;
+    }
+
+    const mapping = this.getSelectedMapping();
+    const fields = Object.keys(mapping);
+    const rows = this.getPreviewRows(this.pending.workbook, mapping, this.pending.sheetName);
+
+    preview.innerHTML = `
+      <table class="mapping-preview-table">
+        <thead><tr>${fields.map(field => `<th>${field}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${rows.map(row => this.renderPreviewRow(row, fields)).join('')}
+        </tbody>
+      </table>
+    `;
+
+    if (status) {
+      const problems = this.validateMapping(mapping);
+      status.className = `file-status ${problems.length ? 'error' : 'success'}`;
+      status.style.display = 'block';
+      status.textContent = problems.length ? problems.join(' ') : 'All required columns are mapped.';
+    }
+  }
+
+  renderPreviewRow(row, fields) {
+    return `<tr>${fields.map(field => `<td>${this.escapeHtml(row[field])}</td>`).join('')}</tr>`;
+  }
+
+  getSelectedMapping() {
+    const mapping = {};
+    Object.keys(this.pending.mapping).forEach(field => {
+      if (this.pending.mapping[field]) {
+        mapping[field] = this.pending.mapping[field];
+      }
+    });
+    return mapping;
+  }
+
+  validateMapping(mapping) {
+    const problems = [];
+    const missing = this.requiredFields.filter(field => !mapping[field]);
+    if (missing.length) {
+      problems.push(`Map the required columns: ${missing.join(', ')}.`);
+    }
+
+    const columns = Object.values(mapping);
+    const duplicates = columns.filter((column, index) => columns.indexOf(column) !== index);
+    if (duplicates.length) {
+      problems.push(`Each column can only be mapped once: ${[...new Set(duplicates)].join(', ')}.`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Apply button handler
+   */
+  confirm() {
+    if (!this.pending) {
+      return;
+    }
+
+    const mapping = this.getSelectedMapping();
+    if (this.validateMapping(mapping).length) {
+      this.renderPreview();
+      return;
+    }
+
+    const nameInput = document.getElementById('mapping-profile-name');
+    if (nameInput && nameInput.value.trim()) {
+      this.saveProfile(nameInput.value, this.pending.headers, mapping);
+    }
+
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve(mapping);
+  }
+
+  /**
+   * Cancel button handler
+   */
+  cancel() {
+    if (!this.pending) {
+      return;
+    }
+    const { reject } = this.pending;
+    this.pending = null;
+    const error = new Error('Column mapping cancelled.');
+    error.cancelled = true;
+    reject(error);
+  }
+
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColumnMappingManager;
+}
+
+if (typeof window !== 'undefined') {
+  window.columnMapper = new ColumnMappingManager();
+}
@@ -0,0 +1,778 @@
+/**
+ * Comprehensive Excel Workbook for VAT Calculator Pro
+ * Builds the multi-sheet analysis workbook (summary, tax code details,
+ * checks, transactions and the VAT201 return) from a calculation result.
+ * Has no DOM dependencies, so the results page and the command-line
+ * calculator produce the same file
+ * Version: 1.0.0
+ */
+
+class ComprehensiveWorkbook {
+  /**
+   * xlsx, the tax code registry, entity grouper, VAT201 builder and review
+   * workflow can be injected through config; otherwise the window instances (browser) or
+   * fresh instances (Node) are used
+   */
+  constructor(config = {}) {
+    this.config = {
+      dateFormat: config.dateFormat || 'dd/mm/yyyy',
+      accountingFormat: config.accountingFormat || '#,##0.00_);(#,##0.00)',
+      ...config
+    };
+  }
+
+  // Dependencies
+
+  resolve(name, globalName, path) {
+    if (this.config[name]) {
+      return this.config[name];
+    }
+    if (typeof window !== 'undefined' && window[globalName]) {
+      return window[globalName];
+    }
+    const Module = require(path);
+    this.config[name] = new Module();
+    return this.config[name];
+  }
+
+  get xlsx() {
+    if (!this.config.XLSX) {
+      this.config.XLSX = typeof XLSX !== 'undefined' ? XLSX : require('xlsx');
+    }
+    return this.config.XLSX;
+  }
+
+  get registry() {
+    return this.resolve('registry', 'taxCodeRegistry', './tax-code-registry.js');
+  }
+
+  get entityGrouper() {
+    return this.resolve('entityGrouper', 'entityGrouper', './entity-grouper.js');
+  }
+
+  get vat201Builder() {
+    return this.resolve('vat201Builder', 'vat201Builder', './vat201-builder.js');
+  }
+
+  get reviewWorkflow() {
+    return this.resolve('reviewWorkflow', 'reviewWorkflow', './review-workflow.js');
+  }
+
+  // Workbook
+
+  /**
+   * Workbook for a calculation result. options.filename is the source file
+   * shown on the summary sheet; options.review, the review of the history
+   * entry, adds its sign-off and reviewer notes
+   */
+  build(results, options = {}) {
+    const xlsx = this.xlsx;
+    const wb = xlsx.utils.book_new();
+    const transactions = results.transactions || [];
+    const addSheet = (data, name, cols, withDates = false) => {
+      const ws = xlsx.utils.aoa_to_sheet(data);
+      if (withDates) {
+        this.applyDateFormat(ws);
+      }
+      this.applyAccountingFormat(ws);
+      ws['!cols'] = cols.map(wch => ({ wch }));
+      xlsx.utils.book_append_sheet(wb, ws, name);
+    };
+
+    addSheet(this.generateSummaryData(results, options.filename || '', options.review), 'Executive Summary',
+      [25, 15, 10, 12, 15, 15, 12, 15, 15], true);
+    if (results.adjustments) {
+      addSheet(this.generateAdjustmentData(results.adjustments), 'Manual Adjustments',
+        [12, 10, 10, 15, 15, 15, 45, 20], true);
+    }
+    addSheet(this.generateTaxCodeDetailData(results, options.review), 'Tax Code Details',
+      [20, 12, 15, 15, 15, 15, 30], true);
+
+    this.addCheckSheets(wb, results, addSheet);
+    addSheet(this.generateAnalysisData(transactions), 'Transaction Analysis', [15, 12, 15, 15, 10], true);
+    this.addBreakdownSheets(results, addSheet);
+
+    // Original imported rows without any processing
+    if (results.transactions) {
+      const transactionWS = xlsx.utils.json_to_sheet(results.transactions);
+      this.applyAccountingFormat(transactionWS);
+      xlsx.utils.book_append_sheet(wb, transactionWS, 'All Transactions');
+    }
+
+    addSheet(this.generateVAT201Data(this.vat201Builder.build(results, { registry: this.registry })),
+      'VAT201 Return', [8, 70, 15, 12], true);
+
+    return wb;
+  }
+
+  /**
+   * Sheets that only appear when they have content: sheet subtotals,
+   * entities, rate check, out-of-period rows and reconciliation
+   */
+  addCheckSheets(wb, results, addSheet) {
+    // Sheet Subtotals for consolidated multi-sheet workbooks
+    if (this.hasMultipleSheets(results)) {
+      addSheet(this.generateSheetSubtotalData(results), 'Sheet Subtotals', [25, 12, 25, 12, 15, 15, 15]);
+    }
+
+    // One sheet per entity when grouped by Company or another column
+    const entities = results.entities;
+    if (entities) {
+      entities.names.forEach(name => {
+        addSheet(this.generateEntityData(name, entities.byEntity[name], entities.column),
+          this.entityGrouper.toSheetName(name, wb.SheetNames), [12, 40, 12, 15, 15, 12, 15, 15]);
+      });
+    }
+
+    // Rate periods and TaxRate mismatches against the effective-dated rate table
+    const rateCheck = results.rateCheck;
+    if (rateCheck && (rateCheck.straddlesRateChange || this.countMismatches(rateCheck) > 0)) {
+      addSheet(this.generateRateCheckData(rateCheck), 'Rate Check', [14, 10, 10, 20, 12, 14, 15, 15, 20]);
+    }
+
+    // Rows dated outside the selected return period
+    const periodCheck = results.periodCheck;
+    if (periodCheck && periodCheck.outOfPeriod.count > 0) {
+      addSheet(this.generateOutOfPeriodData(periodCheck), 'Out of Period', [20, 8, 12, 12, 10, 10, 10, 20, 15, 15]);
+    }
+
+    // Row reconciliation exceptions (TaxAmount vs Excl × Rate, Excl + VAT vs Incl)
+    if (results.reconciliation) {
+      addSheet(this.generateReconciliationData(results.reconciliation), 'Reconciliation',
+        [20, 8, 20, 10, 10, 10, 45, 15, 15, 15]);
+    }
+  }
+
+  /**
+   * Totals by TrCode, counterparty and month (results from before these
+   * breakdowns existed have none)
+   */
+  addBreakdownSheets(results, addSheet) {
+    if (results.trCodeBreakdown) {
+      addSheet(this.generateTrCodeBreakdownData(results.trCodeBreakdown), 'TrCode Breakdown', [12, 30, 10, 12, 15, 15]);
+    }
+    if (results.counterpartyBreakdown) {
+      addSheet(this.generateDimensionData('Counterparty', this.sortByVAT(results.counterpartyBreakdown)),
+        'Counterparties', [45, 12, 15, 15, 15, 15]);
+    }
+    if (results.monthBreakdown) {
+      addSheet(this.generateDimensionData('Month', this.sortByMonth(results.monthBreakdown)),
+        'Monthly', [15, 12, 15, 15, 15, 15]);
+    }
+  }
+
+  hasMultipleSheets(results) {
+    return Object.keys(results.sheetSubtotals || {}).length > 1;
+  }
+
+  // Sheet data
+
+  getTransactionCount(results) {
+    return results.transactionCount !== undefined ? results.transactionCount : (results.transactions || []).length;
+  }
+
+  /**
+   * Streamed files keep only their first rows for row-level sheets
+   */
+  getDetailNote(results) {
+    const kept = (results.transactions || []).length;
+    if (kept >= this.getTransactionCount(results)) {
+      return [];
+    }
+    return [[`Row-level sheets list the first ${kept.toLocaleString()} transactions; totals include all of them`]];
+  }
+
+  generateSummaryData(results, filename, review = null) {
+    const summaryData = [
+      ['VAT CALCULATOR PRO - COMPREHENSIVE ANALYSIS'],
+      [`Generated: ${new Date().toLocaleString()}`],
+      [`Source File: ${filename}`],
+      [`Total Transactions: ${this.getTransactionCount(results).toLocaleString()}`],
+      ...this.getDetailNote(results),
+      [''],
+      ['EXECUTIVE SUMMARY'],
+      ['Metric', 'Amount (R)'],
+      ['Total Input VAT (Purchases)', parseFloat(results.totalInputVAT)],
+      ['Total Output VAT (Sales)', parseFloat(results.totalOutputVAT)],
+      // "VAT Refund Due" for negative amounts, shown as an absolute value
+      [parseFloat(results.vatPayable) >= 0 ? 'VAT Payable' : 'VAT Refund Due',
+        Math.abs(parseFloat(results.vatPayable))],
+      ['Sales Excluding VAT', parseFloat(results.salesExcludingVAT)],
+      ['Sales Including VAT', parseFloat(results.salesIncludingVAT)],
+      ['Zero-Rated Sales', parseFloat(results.zeroRatedSales)],
+      ...this.getAdjustmentSummary(results),
+      [''],
+      ['BREAKDOWN BY TAX CODE'],
+      ['Tax Code', 'Description', 'Rate %', 'Input Count', 'Input VAT', 'Input Excl', 'Output Count', 'Output VAT',
+        'Output Excl']
+    ];
+
+    this.getUsedTaxCodes(results).forEach(([code, breakdown]) => {
+      summaryData.push([
+        code,
+        breakdown.description,
+        breakdown.rate,
+        breakdown.input.count,
+        parseFloat(breakdown.input.vatAmount),
+        parseFloat(breakdown.input.exclAmount),
+        breakdown.output.count,
+        parseFloat(breakdown.output.vatAmount),
+        parseFloat(breakdown.output.exclAmount)
+      ]);
+    });
+
+    if (review) {
+      summaryData.push([''], ['REVIEW'], [this.reviewWorkflow.getSignOffLine(review)]);
+    }
+
+    return summaryData;
+  }
+
+  /**
+   * How much of the summary comes from manual adjustments; the tax code
+   * breakdown below it is ledger rows only
+   */
+  getAdjustmentSummary(results) {
+    const adjustments = results.adjustments;
+    if (!adjustments) {
+      return [];
+    }
+    return [
+      [''],
+      [`MANUAL ADJUSTMENTS (${adjustments.count}, included above; see the Manual Adjustments sheet)`],
+      ['Metric', 'Amount (R)'],
+      ['VAT Payable from Ledger Rows', adjustments.unadjusted.vatPayable],
+      ['Output VAT Adjustments', adjustments.outputVAT],
+      ['Input VAT Adjustments', adjustments.inputVAT],
+      ['VAT Payable after Adjustments', parseFloat(results.vatPayable)]
+    ];
+  }
+
+  /**
+   * One row per adjustment line, then the totals by direction
+   */
+  generateAdjustmentData(adjustments) {
+    // Headers on the first row, where applyAccountingFormat looks for them
+    const adjustmentData = [['Date', 'Tax Code', 'Direction', 'Excl Amount', 'VAT Amount', 'Incl Amount', 'Reason',
+      'Author']];
+    adjustments.entries.forEach(adjustment => {
+      adjustmentData.push([
+        new Date(adjustment.createdAt),
+        adjustment.taxCode,
+        adjustment.direction.toUpperCase(),
+        adjustment.exclAmount,
+        adjustment.vatAmount,
+        parseFloat((adjustment.exclAmount + adjustment.vatAmount).toFixed(2)),
+        adjustment.reason,
+        adjustment.author
+      ]);
+    });
+    adjustmentData.push(['']);
+    adjustmentData.push(['Total', '', 'OUTPUT', adjustments.outputExcl, adjustments.outputVAT]);
+    adjustmentData.push(['Total', '', 'INPUT', adjustments.inputExcl, adjustments.inputVAT]);
+    adjustmentData.push(['Effect on VAT Payable', '', '', '', adjustments.vatPayable]);
+    return adjustmentData;
+  }
+
+  getUsedTaxCodes(results) {
+    return Object.entries(results.taxCodeBreakdown)
+      .filter(([, breakdown]) => breakdown.input.count > 0 || breakdown.output.count > 0);
+  }
+
+  generateTaxCodeDetailData(results, review = null) {
+    const taxCodeData = [['TAX CODE DETAILED BREAKDOWN'], ['']];
+
+    this.getUsedTaxCodes(results).forEach(([code, breakdown]) => {
+      taxCodeData.push([`TAX CODE ${code}: ${breakdown.description} (${breakdown.rate}%)`]);
+      taxCodeData.push(['']);
+      if (breakdown.input.count > 0) {
+        this.addDirectionDetail(taxCodeData, breakdown.input, 'INPUT VAT (Purchases)', 'All Input Transactions',
+          results);
+      }
+      if (breakdown.output.count > 0) {
+        this.addDirectionDetail(taxCodeData, breakdown.output, 'OUTPUT VAT (Sales)', 'All Output Transactions',
+          results);
+      }
+      taxCodeData.push(...this.generateReviewNoteRows(review, code));
+      taxCodeData.push(['', '', '', '']);
+    });
+
+    return taxCodeData;
+  }
+
+  /**
+   * Reviewer notes on a tax code section, under a heading; none without
+   * a review or notes
+   */
+  generateReviewNoteRows(review, taxCode) {
+    const notes = review ? this.reviewWorkflow.getNotes(review, taxCode) : [];
+    if (notes.length === 0) {
+      return [];
+    }
+    return [
+      ['REVIEWER NOTES'],
+      ...notes.map(note => [new Date(note.createdAt), note.author, note.text])
+    ];
+  }
+
+  addDirectionDetail(taxCodeData, side, title, transactionsTitle, results) {
+    taxCodeData.push([title]);
+    taxCodeData.push(['Transactions', 'VAT Amount', 'Excl Amount']);
+    taxCodeData.push([side.count, parseFloat(side.vatAmount), parseFloat(side.exclAmount)]);
+    if (this.hasMultipleSheets(results)) {
+      Object.entries(side.sheets || {}).forEach(([sheetName, subtotal]) => {
+        taxCodeData.push([`  ${sheetName}: ${subtotal.count}`, parseFloat(subtotal.vatAmount.toFixed(2)),
+          parseFloat(subtotal.exclAmount.toFixed(2))]);
+      });
+    }
+    taxCodeData.push(['']);
+
+    if (side.transactions.length === 0) {
+      return;
+    }
+    taxCodeData.push([transactionsTitle]);
+    taxCodeData.push(['TR Code', 'TxDate', 'Reference', 'VAT Amount', 'Excl Amount', 'Incl Amount', 'Description']);
+    side.transactions.forEach(tx => {
+      // Date objects get Excel's date formatting
+      const date = tx.TxDate ? new Date(tx.TxDate) : null;
+      const dateForExcel = date && !isNaN(date.getTime()) ? date : '';
+      taxCodeData.push([tx.TrCode, dateForExcel, tx.Reference || '', parseFloat(tx.TaxAmount),
+        parseFloat(tx.ExclAmount), parseFloat(tx.InclAmount), tx.TaxDescription]);
+    });
+    taxCodeData.push(['']);
+  }
+
+  /**
+   * Per-sheet totals plus per-sheet tax code subtotals for consolidated workbooks
+   */
+  generateSheetSubtotalData(results) {
+    const sheetData = [
+      ['SUBTOTALS BY WORKSHEET'],
+      ['Sheet', 'Transactions', 'Output VAT', 'Input VAT', 'VAT Payable', 'Sales Excl VAT', 'Zero-Rated Sales']
+    ];
+
+    Object.entries(results.sheetSubtotals).forEach(([sheetName, totals]) => {
+      sheetData.push([
+        sheetName,
+        totals.count,
+        parseFloat(totals.totalOutputVAT),
+        parseFloat(totals.totalInputVAT),
+        parseFloat(totals.vatPayable),
+        parseFloat(totals.salesExcludingVAT),
+        parseFloat(totals.zeroRatedSales)
+      ]);
+    });
+
+    sheetData.push(['']);
+    sheetData.push(['TAX CODE SUBTOTALS BY WORKSHEET']);
+    sheetData.push(['Sheet', 'Tax Code', 'Description', 'Direction', 'Transactions', 'VAT Amount', 'Excl Amount']);
+
+    Object.keys(results.sheetSubtotals).forEach(sheetName => {
+      Object.entries(results.taxCodeBreakdown).forEach(([code, breakdown]) => {
+        ['input', 'output'].forEach(direction => {
+          const subtotal = breakdown[direction].sheets?.[sheetName];
+          if (subtotal) {
+            sheetData.push([
+              sheetName,
+              code,
+              breakdown.description,
+              direction === 'input' ? 'INPUT' : 'OUTPUT',
+              subtotal.count,
+              parseFloat(subtotal.vatAmount.toFixed(2)),
+              parseFloat(subtotal.exclAmount.toFixed(2))
+            ]);
+          }
+        });
+      });
+    });
+
+    return sheetData;
+  }
+
+  /**
+   * Totals and tax code breakdown for one entity
+   */
+  generateEntityData(name, entity, column) {
+    const entityData = [
+      [`${column.toUpperCase()}: ${name}`],
+      [`Transactions: ${entity.transactionCount}`],
+      [''],
+      ['Output VAT', parseFloat(entity.totalOutputVAT)],
+      ['Input VAT', parseFloat(entity.totalInputVAT)],
+      [entity.vatPayable >= 0 ? 'VAT Payable' : 'VAT Refund', parseFloat(Math.abs(entity.vatPayable))],
+      ['Sales Excl VAT', parseFloat(entity.salesExcludingVAT)],
+      ['Zero-Rated Sales', parseFloat(entity.zeroRatedSales)],
+      [''],
+      ['TAX CODE BREAKDOWN'],
+      ['Tax Code', 'Description', 'Output Count', 'Output VAT', 'Output Excl', 'Input Count', 'Input VAT', 'Input Excl']
+    ];
+
+    this.getUsedTaxCodes(entity).forEach(([code, breakdown]) => {
+      entityData.push([
+        code,
+        breakdown.description,
+        breakdown.output.count,
+        parseFloat(breakdown.output.vatAmount.toFixed(2)),
+        parseFloat(breakdown.output.exclAmount.toFixed(2)),
+        breakdown.input.count,
+        parseFloat(breakdown.input.vatAmount.toFixed(2)),
+        parseFloat(breakdown.input.exclAmount.toFixed(2))
+      ]);
+    });
+
+    return entityData;
+  }
+
+  /**
+   * Every mismatch, including those past the row limit (results archived
+   * before mismatchCount was kept list them all)
+   */
+  countMismatches(rateCheck) {
+    return rateCheck.mismatchCount !== undefined ? rateCheck.mismatchCount : rateCheck.mismatches.length;
+  }
+
+  /**
+   * Note under a list cut off at the row limit of a large (streamed) file
+   */
+  generateListedNote(listed, total) {
+    return listed < total ? [[''], [`Only the first ${listed} of ${total} are listed (large file).`]] : [];
+  }
+
+  /**
+   * Summary and exceptions list from the row reconciliation pass
+   */
+  generateReconciliationData(reconciliation) {
+    const { summary, exceptions } = reconciliation;
+    const reconciliationData = [
+      ['ROW RECONCILIATION'],
+      [`Rows checked: ${summary.checkedCount}`],
+      [`Tolerance: R ${summary.tolerance.toFixed(2)}`],
+      [`Rows with exceptions: ${summary.exceptionCount} (VAT: ${summary.vatMismatchCount}, ` +
+        `Incl total: ${summary.totalMismatchCount})`],
+      [`Net VAT difference: R ${summary.vatDifference.toFixed(2)}`],
+      [''],
+      ['Sheet', 'Row', 'Reference', 'TR Code', 'Tax Code', 'Rate', 'Check', 'Expected', 'Actual', 'Difference']
+    ];
+
+    exceptions.forEach(exception => {
+      reconciliationData.push([
+        exception.sheet,
+        exception.rowNumber,
+        exception.reference,
+        exception.trCode,
+        exception.taxCode,
+        exception.taxRate,
+        exception.description,
+        parseFloat(exception.expected),
+        parseFloat(exception.actual),
+        parseFloat(exception.difference)
+      ]);
+    });
+
+    if (exceptions.length === 0) {
+      reconciliationData.push(['No exceptions: every row reconciles within the tolerance.']);
+    }
+    reconciliationData.push(...this.generateListedNote(exceptions.length,
+      summary.vatMismatchCount + summary.totalMismatchCount));
+
+    return reconciliationData;
+  }
+
+  /**
+   * Rows left out of the totals because TxDate is outside the return period
+   */
+  generateOutOfPeriodData(periodCheck) {
+    const { period, outOfPeriod } = periodCheck;
+    const periodData = [
+      ['OUT OF PERIOD ROWS'],
+      [`Return period: ${period.label} (Category ${period.category})`],
+      [`Rows in period: ${periodCheck.inPeriodCount} (undated: ${periodCheck.undatedCount})`],
+      [`Rows outside the period: ${outOfPeriod.count}`],
+      [`Output VAT: R ${outOfPeriod.outputVAT.toFixed(2)}, Input VAT: R ${outOfPeriod.inputVAT.toFixed(2)}, ` +
+        `Net: R ${outOfPeriod.vatPayable.toFixed(2)}`],
+      [''],
+      ['Sheet', 'Row', 'TxDate', 'Tax Period', 'Direction', 'TR Code', 'Tax Code', 'Reference', 'VAT Amount',
+        'Excl Amount']
+    ];
+
+    outOfPeriod.rows.forEach(row => {
+      periodData.push([
+        row.sheet,
+        row.rowNumber,
+        new Date(row.TxDate).toLocaleDateString('en-CA'),
+        row.taxPeriod,
+        row.direction === 'input' ? 'Input' : 'Output',
+        row.TrCode,
+        row.TaxCode,
+        row.Reference,
+        parseFloat(row.TaxAmount),
+        parseFloat(row.ExclAmount)
+      ]);
+    });
+    periodData.push(...this.generateListedNote(outOfPeriod.rows.length, outOfPeriod.count));
+
+    return periodData;
+  }
+
+  /**
+   * Rate periods and rows whose TaxRate disagrees with the rate in force on TxDate
+   */
+  generateRateCheckData(rateCheck) {
+    const changes = rateCheck.rateChanges.map(change => `${change.rate}% from ${change.effectiveFrom}`).join(', ');
+    const rateData = [
+      ['VAT RATE CHECK'],
+      [`Rate changes in range: ${changes || 'none'}`],
+      [''],
+      ['TOTALS BY RATE PERIOD'],
+      ['Period From', 'Rate', 'First TxDate', 'Last TxDate', 'Transactions', 'Output VAT', 'Input VAT', 'Excl Amount']
+    ];
+
+    Object.values(rateCheck.periods).forEach(period => {
+      rateData.push([
+        period.effectiveFrom,
+        period.rate,
+        period.firstDate,
+        period.lastDate,
+        period.count,
+        parseFloat(period.outputVAT),
+        parseFloat(period.inputVAT),
+        parseFloat(period.exclAmount)
+      ]);
+    });
+
+    rateData.push(['']);
+    rateData.push([`RATE MISMATCHES (${this.countMismatches(rateCheck)})`]);
+    rateData.push(['TxDate', 'TrCode', 'Tax Code', 'Reference', 'File Rate', 'Expected Rate', 'VAT Amount',
+      'Excl Amount', 'Sheet']);
+    rateCheck.mismatches.forEach(row => {
+      rateData.push([
+        row.TxDate,
+        row.TrCode,
+        row.TaxCode,
+        row.Reference || '',
+        row.fileRate,
+        row.expectedRate,
+        parseFloat(row.TaxAmount),
+        parseFloat(row.ExclAmount),
+        row.SourceSheet || ''
+      ]);
+    });
+    rateData.push(...this.generateListedNote(rateCheck.mismatches.length, this.countMismatches(rateCheck)));
+
+    if (rateCheck.undatedCount > 0) {
+      rateData.push(['']);
+      rateData.push([`${rateCheck.undatedCount} transactions had no usable TxDate and were not rate-checked.`]);
+    }
+
+    return rateData;
+  }
+
+  generateAnalysisData(transactions) {
+    const analysisData = [
+      ['TRANSACTION ANALYSIS'],
+      [''],
+      ['Transaction Code Distribution'],
+      ['TR Code', 'Count', 'Total Amount', 'Average Amount', 'Type']
+    ];
+
+    Object.entries(this.generateTransactionCodeStats(transactions)).forEach(([code, stats]) => {
+      const direction = this.registry.getDirection(code);
+      analysisData.push([code, stats.count, parseFloat(stats.total), parseFloat(stats.total / stats.count),
+        direction ? direction.toUpperCase() : 'UNKNOWN']);
+    });
+
+    analysisData.push(['']);
+    analysisData.push(['VAT Rate Analysis']);
+    analysisData.push(['Rate %', 'Transactions', 'Total Amount', 'VAT Amount']);
+
+    Object.entries(this.generateVATRateAnalysis(transactions)).forEach(([rate, data]) => {
+      analysisData.push([rate, data.transactions, parseFloat(data.amount), parseFloat(data.vat)]);
+    });
+
+    return analysisData;
+  }
+
+  generateTrCodeBreakdownData(trCodeBreakdown) {
+    const trCodes = this.registry.getTrCodes();
+    // Headers on the first row, where applyAccountingFormat looks for count columns
+    const trCodeData = [['TR Code', 'Description', 'Direction', 'Transactions', 'Excl Amount', 'VAT Amount']];
+    Object.keys(trCodeBreakdown).sort().forEach(code => {
+      const totals = trCodeBreakdown[code];
+      trCodeData.push([code, trCodes[code] ? trCodes[code].description : '', totals.direction.toUpperCase(),
+        totals.count, totals.exclAmount, totals.vatAmount]);
+    });
+    return trCodeData;
+  }
+
+  /**
+   * Sheet for a breakdown by counterparty or month ([key, totals] entries in order)
+   */
+  generateDimensionData(label, entries) {
+    const dimensionData = [[label, 'Transactions', 'Output VAT', 'Input VAT', 'VAT Payable', 'Excl Amount']];
+    entries.forEach(([, totals]) => {
+      dimensionData.push([totals.name, totals.count, totals.outputVAT, totals.inputVAT, totals.vatPayable,
+        totals.exclAmount]);
+    });
+    return dimensionData;
+  }
+
+  /**
+   * Largest VAT first
+   */
+  sortByVAT(breakdown) {
+    const size = totals => Math.abs(totals.outputVAT) + Math.abs(totals.inputVAT);
+    return Object.entries(breakdown).sort(([, a], [, b]) => size(b) - size(a));
+  }
+
+  /**
+   * Calendar order, undated rows last
+   */
+  sortByMonth(breakdown) {
+    return Object.entries(breakdown).sort(([a], [b]) => (a === 'undated') - (b === 'undated') || a.localeCompare(b));
+  }
+
+  generateTransactionCodeStats(transactions) {
+    const stats = {};
+    transactions.forEach(tx => {
+      if (!stats[tx.TrCode]) {
+        stats[tx.TrCode] = { count: 0, total: 0 };
+      }
+      stats[tx.TrCode].count++;
+      stats[tx.TrCode].total += tx.ExclAmount;
+    });
+    return stats;
+  }
+
+  generateVATRateAnalysis(transactions) {
+    const analysis = {};
+    transactions.forEach(tx => {
+      const rate = tx.TaxRate;
+      if (!analysis[rate]) {
+        analysis[rate] = { transactions: 0, amount: 0, vat: 0 };
+      }
+      analysis[rate].transactions++;
+      analysis[rate].amount += tx.ExclAmount;
+      analysis[rate].vat += tx.TaxAmount;
+    });
+    return analysis;
+  }
+
+  /**
+   * SARS VAT201 return, field by field
+   */
+  generateVAT201Data(vat201) {
+    const complianceData = [
+      ['SARS VAT201 RETURN'],
+      ['Consideration fields include VAT. Manual fields must be completed on eFiling.'],
+      ...vat201.warnings.map(warning => [`Warning: ${warning}`]),
+      ['']
+    ];
+    [['output', 'CALCULATION OF OUTPUT TAX'], ['input', 'CALCULATION OF INPUT TAX'], ['result', 'NET VAT']]
+      .forEach(([section, title]) => {
+        complianceData.push([title]);
+        complianceData.push(['Field', 'Description', 'Amount (R)', 'Source']);
+        vat201.lines.filter(line => line.section === section).forEach(line => {
+          complianceData.push([line.field, line.label, line.value, line.source]);
+        });
+        complianceData.push(['']);
+      });
+    return complianceData;
+  }
+
+  // Cell formatting
+
+  /**
+   * Columns whose header matches one of the keywords
+   */
+  findColumns(worksheet, range, keywords) {
+    const columns = new Set();
+    for (let col = range.s.c; col <= range.e.c; col++) {
+      const headerCell = worksheet[this.xlsx.utils.encode_cell({ r: range.s.r, c: col })];
+      const headerText = headerCell && headerCell.v ? headerCell.v.toString().toLowerCase() : '';
+      if (headerText && keywords.some(keyword => headerText.includes(keyword))) {
+        columns.add(col);
+      }
+    }
+    return columns;
+  }
+
+  /**
+   * dd/mm/yyyy on date columns: date cells, Excel serials and date strings
+   */
+  applyDateFormat(worksheet) {
+    if (!worksheet || !worksheet['!ref']) {
+      return;
+    }
+
+    const range = this.xlsx.utils.decode_range(worksheet['!ref']);
+    const dateColumns = this.findColumns(worksheet, range, ['date', 'txdate']);
+
+    for (let row = range.s.r + 1; row <= range.e.r; row++) {
+      dateColumns.forEach(col => {
+        const cell = worksheet[this.xlsx.utils.encode_cell({ r: row, c: col })];
+        if (cell) {
+          this.formatDateCell(cell);
+        }
+      });
+    }
+  }
+
+  formatDateCell(cell) {
+    if (cell.t === 'd') {
+      cell.z = this.config.dateFormat;
+    } else if (cell.t === 'n' && cell.v > 40000 && cell.v < 50000) {
+      // Excel date serial number
+      cell.t = 'd';
+      cell.z = this.config.dateFormat;
+    } else if (cell.t === 's') {
+      const dateValue = new Date(cell.v);
+      if (!isNaN(dateValue.getTime()) && dateValue.getFullYear() > 1900) {
+        cell.t = 'd';
+        cell.v = (dateValue.getTime() - new Date(1900, 0, 1).getTime()) / (24 * 60 * 60 * 1000) + 2;
+        cell.z = this.config.dateFormat;
+      }
+    }
+  }
+
+  /**
+   * Accounting format on every numeric cell outside count, rate, code,
+   * reference and date columns
+   */
+  applyAccountingFormat(worksheet) {
+    if (!worksheet || !worksheet['!ref']) {
+      return;
+    }
+
+    const range = this.xlsx.utils.decode_range(worksheet['!ref']);
+    const nonMonetaryColumns = this.findColumns(worksheet, range,
+      ['count', 'transactions', 'rate %', 'tax code', 'tr code', 'reference', 'date', 'txdate']);
+
+    for (let row = range.s.r + 1; row <= range.e.r; row++) {
+      for (let col = range.s.c; col <= range.e.c; col++) {
+        const cell = worksheet[this.xlsx.utils.encode_cell({ r: row, c: col })];
+        if (!nonMonetaryColumns.has(col) && this.isAmountCell(cell)) {
+          cell.z = this.config.accountingFormat;
+        }
+      }
+    }
+  }
+
+  /**
+   * Numeric cell that is not a likely Excel date serial or date-formatted
+   */
+  isAmountCell(cell) {
+    if (!cell || cell.t !== 'n' || typeof cell.v !== 'number') {
+      return false;
+    }
+    return !(cell.v > 40000 && cell.v < 50000) && !/dd|mm|yyyy/.test(cell.z || '');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ComprehensiveWorkbook;
+}
+
+if (typeof window !== 'undefined') {
+  window.comprehensiveWorkbook = new ComprehensiveWorkbook();
+}
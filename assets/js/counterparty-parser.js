@@ -0,0 +1,72 @@
+/**
+ * Counterparty Parser for VAT Calculator Pro
+ * Names the supplier or customer behind a validated ledger row for the
+ * by-counterparty breakdown. The Counterparty column is used when the
+ * export has one (see VatEngine.COLUMN_ALIASES); otherwise the name is
+ * parsed from the transaction description (TrnDescription) or Reference
+ * by dropping invoice numbers, account numbers, dates, amounts and
+ * bracketed notes, so "CAPITEC 9411120285085" and "CAPITEC 9411120285093"
+ * group together.
+ * Version: 1.0.0
+ */
+
+class CounterpartyParser {
+  constructor(config = {}) {
+    this.config = {
+      // Field taken as is when filled; otherwise the description fields are parsed in order
+      column: config.column || 'Counterparty',
+      descriptionColumns: config.descriptionColumns || ['TmDescription', 'Reference'],
+      unknownLabel: config.unknownLabel || '(Unspecified)',
+      maxLength: config.maxLength || 60,
+      ...config
+    };
+  }
+
+  /**
+   * { key, name } for a validated row; key groups case variants
+   */
+  parse(row) {
+    const name = this.clean(String(row[this.config.column] || '')) ||
+      this.getDescriptionName(row) ||
+      this.config.unknownLabel;
+    return { key: name.toUpperCase(), name };
+  }
+
+  getDescriptionName(row) {
+    for (const column of this.config.descriptionColumns) {
+      const name = this.normalize(String(row[column] || ''));
+      if (name) {
+        return name;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Description without the parts that differ per transaction
+   */
+  normalize(text) {
+    return this.clean(text
+      // Bracketed notes, e.g. "(03/01-01/02)"
+      .replace(/\([^)]*\)/g, ' ')
+      // Amounts, e.g. "R1,550.00"
+      .replace(/\bR\s?\d[\d,]*(\.\d+)?/gi, ' ')
+      // Any token containing a digit: invoice, account and card numbers, dates, years
+      .replace(/\S*\d\S*/g, ' '));
+  }
+
+  clean(text) {
+    const name = text
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s\-–:;,./#%]+|[\s\-–:;,./#%]+$/g, '');
+    return name.length > this.config.maxLength ? name.slice(0, this.config.maxLength).trim() : name;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CounterpartyParser;
+}
+
+if (typeof window !== 'undefined') {
+  window.counterpartyParser = new CounterpartyParser();
+}
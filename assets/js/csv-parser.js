@@ -0,0 +1,372 @@
+/**
+ * Delimited File Parser for VAT Calculator Pro
+ * Reads CSV/TSV ledger exports (Sage, Evolution, Pastel) into the same
+ * worksheet shape that XLSX.read produces for .xlsx/.xls uploads
+ * Version: 1.0.0
+ */
+
+class CsvParser {
+  constructor(config = {}) {
+    this.config = {
+      delimiters: config.delimiters || [',', ';', '\t', '|'],
+      sampleLines: config.sampleLines || 20,
+      // Bytes read at a time by parseStream
+      chunkSize: config.chunkSize || 4 * 1024 * 1024,
+      ...config
+    };
+  }
+
+  /**
+   * Whether a file should go through the delimited-text path
+   */
+  isDelimitedFile(file) {
+    const name = (file.name || '').toLowerCase();
+    return name.endsWith('.csv') || name.endsWith('.tsv');
+  }
+
+  /**
+   * Decode raw bytes, honouring BOMs and falling back to Windows-1252
+   * for exports that are not valid UTF-8
+   */
+  decode(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+    const bom = this.getBom(bytes);
+    if (bom) {
+      return { text: new TextDecoder(bom.label).decode(bytes.subarray(bom.length)), encoding: bom.encoding };
+    }
+
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch (error) {
+      return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+    }
+  }
+
+  /**
+   * Byte order mark at the start of the bytes, or null
+   */
+  getBom(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return { label: 'utf-8', encoding: 'utf-8-bom', length: 3 };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return { label: 'utf-16le', encoding: 'utf-16le', length: 2 };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return { label: 'utf-16be', encoding: 'utf-16be', length: 2 };
+    }
+    return null;
+  }
+
+  /**
+   * Pick the delimiter that splits the sample lines most consistently
+   */
+  detectDelimiter(text) {
+    const lines = text.split(/\r\n|\n|\r/)
+      .filter(line => line.trim() !== '')
+      .slice(0, this.config.sampleLines);
+
+    let best = { delimiter: ',', score: 0 };
+
+    this.config.delimiters.forEach(delimiter => {
+      const counts = lines.map(line => this.parse(line, delimiter)[0].length - 1);
+      const headerCount = counts[0] || 0;
+      if (headerCount === 0) {
+        return;
+      }
+
+      const consistent = counts.filter(count => count === headerCount).length;
+      const score = consistent * headerCount;
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    });
+
+    return best.delimiter;
+  }
+
+  /**
+   * RFC 4180 style parse: quoted fields, doubled quotes and line breaks
+   * inside quotes are supported. Returns an array of string arrays.
+   */
+  parse(text, delimiter = ',') {
+    return this.parseChunk(this.createParseState(), text, delimiter, true);
+  }
+
+  createParseState() {
+    return { row: [], field: '', inQuotes: false, rest: '' };
+  }
+
+  /**
+   * Parse the next piece of a file, continuing from state. A quote or
+   * carriage return at the end of a chunk is held back until the next
+   * chunk shows what follows it; final flushes the last row.
+   */
+  parseChunk(state, chunk, delimiter = ',', final = false) {
+    const text = state.rest + chunk;
+    const rows = [];
+    let { row, field, inQuotes } = state;
+    state.rest = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (!final && i === text.length - 1 && (char === '"' || char === '\r')) {
+        state.rest = char;
+        break;
+      }
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (final && (field !== '' || row.length > 0)) {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    }
+
+    Object.assign(state, { row, field, inQuotes });
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  /**
+   * Decide between "1234.56" (dot) and "1234,56" (comma) decimal notation
+   * by voting over every number-like cell in the data rows
+   */
+  detectDecimalStyle(rows) {
+    let dot = 0;
+    let comma = 0;
+
+    rows.forEach(cells => {
+      cells.forEach(cell => {
+        const value = this.stripNumberNoise(cell);
+        if (/^-?\d{1,3}(\.\d{3})+,\d+$/.test(value) || /^-?\d+,\d{1,2}$/.test(value)) {
+          comma++;
+        } else if (/^-?\d{1,3}(,\d{3})+\.\d+$/.test(value) || /^-?\d+\.\d+$/.test(value)) {
+          dot++;
+        }
+      });
+    });
+
+    return comma > dot ? 'comma' : 'dot';
+  }
+
+  /**
+   * Convert a cell to a Number when it is numeric in the detected style.
+   * Values with leading zeros (references, account numbers) stay text.
+   */
+  parseNumber(cell, decimalStyle = 'dot') {
+    const value = this.stripNumberNoise(cell);
+    if (value === '' || /^-?0\d/.test(value)) {
+      return cell;
+    }
+
+    let normalised = value;
+    if (decimalStyle === 'comma') {
+      if (!/^-?\d+(\.\d{3})*(,\d+)?$/.test(value)) {
+        return cell;
+      }
+      normalised = value.replace(/\./g, '').replace(',', '.');
+    } else {
+      if (!/^-?\d+(,\d{3})*(\.\d+)?$/.test(value)) {
+        return cell;
+      }
+      normalised = value.replace(/,/g, '');
+    }
+
+    const number = Number(normalised);
+    return isNaN(number) ? cell : number;
+  }
+
+  stripNumberNoise(cell) {
+    let value = String(cell).trim().replace(/\s/g, '');
+    if (/^R-?\d/.test(value)) {
+      value = value.slice(1);
+    }
+    if (/^\(.+\)$/.test(value)) {
+      value = '-' + value.slice(1, -1);
+    }
+    return value;
+  }
+
+  /**
+   * Parse a delimited file buffer into headers and typed rows
+   */
+  parseBuffer(buffer) {
+    const { text, encoding } = this.decode(buffer);
+    const delimiter = this.detectDelimiter(text);
+    const table = this.parse(text, delimiter);
+
+    if (table.length === 0) {
+      throw new Error('The CSV file appears to be empty.');
+    }
+
+    const headers = table[0].map(header => header.trim());
+    const dataRows = table.slice(1);
+    const decimalStyle = this.detectDecimalStyle(dataRows);
+
+    const rows = dataRows.map(cells => this.toTypedRow(cells, headers, decimalStyle));
+
+    return { headers, rows, delimiter, encoding, decimalStyle };
+  }
+
+  toTypedRow(cells, headers, decimalStyle) {
+    return headers.map((header, index) => {
+      const cell = cells[index] !== undefined ? cells[index].trim() : '';
+      return this.parseNumber(cell, decimalStyle);
+    });
+  }
+
+  // Streaming
+
+  /**
+   * Parse a delimited file too large to decode in one go. source is
+   * { size, read(start, end) } returning the bytes in that range.
+   * onRows(rows, { headers, bytesRead }) receives typed rows (as
+   * parseBuffer) batch by batch; the decimal style is voted on the first
+   * batch only.
+   * Returns { headers, delimiter, encoding, decimalStyle }.
+   */
+  parseStream(source, onRows, options = {}) {
+    const chunkSize = options.chunkSize || this.config.chunkSize;
+    const encoding = this.detectEncoding(source, chunkSize);
+    const decoder = new TextDecoder(encoding.label);
+    const state = this.createParseState();
+    const info = { headers: null, delimiter: null, encoding: encoding.encoding, decimalStyle: 'dot' };
+
+    for (let start = encoding.offset; start < source.size; start += chunkSize) {
+      const end = Math.min(start + chunkSize, source.size);
+      const text = decoder.decode(source.read(start, end), { stream: end < source.size });
+      if (info.delimiter === null && text.trim() === '') {
+        continue;
+      }
+
+      info.delimiter = info.delimiter || this.detectDelimiter(text);
+      let table = this.parseChunk(state, text, info.delimiter, end === source.size);
+      if (!info.headers && table.length > 0) {
+        info.headers = table[0].map(header => header.trim());
+        table = table.slice(1);
+        info.decimalStyle = this.detectDecimalStyle(table);
+      }
+      if (info.headers) {
+        onRows(table.map(cells => this.toTypedRow(cells, info.headers, info.decimalStyle)),
+          { headers: info.headers, bytesRead: end });
+      }
+    }
+
+    if (!info.headers) {
+      throw new Error('The CSV file appears to be empty.');
+    }
+    return info;
+  }
+
+  /**
+   * Encoding for a streamed file, chosen as decode() would: a BOM, else
+   * UTF-8 unless some chunk is not valid UTF-8, else Windows-1252
+   */
+  detectEncoding(source, chunkSize = this.config.chunkSize) {
+    const bom = this.getBom(source.read(0, Math.min(3, source.size)));
+    if (bom) {
+      return { label: bom.label, encoding: bom.encoding, offset: bom.length };
+    }
+
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    try {
+      for (let start = 0; start < source.size; start += chunkSize) {
+        const end = Math.min(start + chunkSize, source.size);
+        decoder.decode(source.read(start, end), { stream: end < source.size });
+      }
+      return { label: 'utf-8', encoding: 'utf-8', offset: 0 };
+    } catch (error) {
+      return { label: 'windows-1252', encoding: 'windows-1252', offset: 0 };
+    }
+  }
+
+  /**
+   * Wrap parsed rows in an XLSX workbook so validateExcelData can consume
+   * CSV uploads exactly like Excel ones
+   */
+  toWorkbook(parsed, sheetName = 'Sheet1') {
+    // The page loads xlsx as a global; Node picks it up from node_modules
+    const xlsx = this.config.XLSX || (typeof XLSX !== 'undefined' ? XLSX : require('xlsx'));
+    const worksheet = xlsx.utils.aoa_to_sheet([parsed.headers, ...parsed.rows]);
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, worksheet, sheetName);
+    workbook.csvInfo = {
+      delimiter: parsed.delimiter,
+      encoding: parsed.encoding,
+      decimalStyle: parsed.decimalStyle
+    };
+    return workbook;
+  }
+
+  /**
+   * Worksheet name for a CSV file: the filename without extension, limited
+   * to Excel's 31 characters
+   */
+  getSheetName(filename) {
+    return (filename || 'Sheet1')
+      .replace(/\.(csv|tsv)$/i, '')
+      .replace(/[[\]:*?/\\]/g, ' ')
+      .slice(0, 31);
+  }
+
+  /**
+   * Read a File/Blob into a workbook
+   */
+  readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const parsed = this.parseBuffer(e.target.result);
+          resolve(this.toWorkbook(parsed, this.getSheetName(file.name)));
+        } catch (error) {
+          reject(new Error(`Failed to read CSV file: ${error.message}`));
+        }
+      };
+      reader.onerror = () => {
+        reject(new Error('Failed to read file.'));
+      };
+      reader.readAsArrayBuffer(file);
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CsvParser;
+}
+
+if (typeof window !== 'undefined') {
+  window.csvParser = new CsvParser();
+}
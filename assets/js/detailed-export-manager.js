@@ -797,7 +797,7 @@ class DetailedExportManager {
 
             const trCodeStats = this.generateTransactionCodeStats();
             Object.entries(trCodeStats).forEach(([code, stats]) => {
-                const type = ['CASH', 'JC', 'JNL', 'SINV', 'JD', 'RC'].includes(code) ? 'INPUT' : 'OUTPUT';
+                const type = this.getTransactionType(code);
                 analysisData.push([code, stats.count, parseFloat(stats.total), parseFloat(stats.total / stats.count), type]);
             });
 
@@ -833,41 +833,25 @@ class DetailedExportManager {
                 console.log('=== ALL TRANSACTIONS - RAW DATA EXPORTED ===');
             }
 
-            // SHEET 5: SARS Compliance Summary with robust number conversion
+            // SHEET 5: SARS VAT201 return, field by field
+            const vat201 = this.getVAT201();
             const complianceData = [
-                ['SARS VAT RETURN SUMMARY'],
-                [''],
-                ['Output VAT (Box 1-9)'],
-                ['Description', 'Amount (R)'],
-                ['Standard-rated supplies', this.formatNumberForExcel(this.getStandardRatedOutputVAT())],
-                ['Zero-rated supplies', this.formatNumberForExcel(this.currentData.zeroRatedSales)],
-                ['Exempt supplies', this.formatNumberForExcel(this.getExemptOutputVAT())],
-                ['Total Output VAT', this.formatNumberForExcel(this.currentData.totalOutputVAT)],
-                [''],
-                ['Input VAT (Box 10-19)'],
-                ['Description', 'Amount (R)'],
-                ['Standard-rated purchases', parseFloat(this.getStandardRatedInputVAT())],
-                ['Capital goods purchases', parseFloat(this.getCapitalGoodsVAT())],
-                ['Total Input VAT', parseFloat(this.currentData.totalInputVAT)],
-                [''],
-                ['Net VAT Calculation'],
-                ['Total Output VAT', parseFloat(this.currentData.totalOutputVAT)],
-                ['Less: Total Input VAT', parseFloat(this.currentData.totalInputVAT)],
-                ['Net VAT Amount', this.ensureExcelNumber(this.currentData.vatPayable)]
+                ['SARS VAT201 RETURN'],
+                ['Consideration fields include VAT. Manual fields must be completed on eFiling.'],
+                ['']
             ];
-
-            console.log('=== SARS COMPLIANCE ROBUST NUMBER DEBUG ===');
-            console.log('Sample processed values:');
-            console.log('Row 4 (Standard-rated supplies):', complianceData[4][1], typeof complianceData[4][1]);
-            console.log('Row 7 (Total Output VAT):', complianceData[7][1], typeof complianceData[7][1]);
+            [['output', 'CALCULATION OF OUTPUT TAX'], ['input', 'CALCULATION OF INPUT TAX'], ['result', 'NET VAT']].forEach(([section, title]) => {
+                complianceData.push([title]);
+                complianceData.push(['Field', 'Description', 'Amount (R)', 'Source']);
+                vat201.lines.filter(line => line.section === section).forEach(line => {
+                    complianceData.push([line.field, line.label, line.value, line.source]);
+                });
+                complianceData.push(['']);
+            });
 
             const complianceWS = XLSX.utils.aoa_to_sheet(complianceData);
-            
-            console.log('=== SARS COMPLIANCE SIMPLIFIED APPROACH ===');
-            console.log('Using parseFloat() directly like Tax Code Details');
-            
-            complianceWS['!cols'] = [{ wch: 30 }, { wch: 15 }];
-            XLSX.utils.book_append_sheet(wb, complianceWS, 'SARS Compliance');
+            complianceWS['!cols'] = [{ wch: 8 }, { wch: 70 }, { wch: 15 }, { wch: 12 }];
+            XLSX.utils.book_append_sheet(wb, complianceWS, 'VAT201 Return');
 
             // Save the comprehensive Excel file with proper formatting options
             const filename = `VAT_Comprehensive_Analysis_${this.currentFilename}_${new Date().toISOString().split('T')[0]}.xlsx`;
@@ -898,6 +882,146 @@ class DetailedExportManager {
         }
     }
 
+    // VAT201 RETURN EXPORTS
+    exportVAT201PDF() {
+        if (!this.currentData) {
+            this.showError('No calculation data available for export', 'Please process a VAT calculation first.');
+            return;
+        }
+
+        try {
+            if (!window.jspdf) {
+                throw new Error('PDF library not loaded. Please refresh the page and try again.');
+            }
+
+            const vat201 = this.getVAT201();
+            const { jsPDF } = window.jspdf;
+            const pdf = new jsPDF('p', 'mm', 'a4');
+            const leftMargin = 20;
+            const rightMargin = 190;
+            const pageHeight = 280;
+            let yPos = 20;
+
+            pdf.setFont('helvetica', 'normal');
+            pdf.setFontSize(18);
+            pdf.setTextColor(0, 0, 0);
+            pdf.text('SARS VAT201 Return (Pre-filled)', leftMargin, yPos);
+
+            pdf.setFontSize(10);
+            pdf.setTextColor(100, 100, 100);
+            yPos += 8;
+            pdf.text(`Generated: ${new Date().toLocaleString()}`, leftMargin, yPos);
+            yPos += 5;
+            pdf.text(`Source File: ${this.currentFilename}`, leftMargin, yPos);
+            yPos += 5;
+            pdf.text('Consideration fields include VAT. Manual fields must be completed on eFiling.', leftMargin, yPos);
+            yPos += 10;
+
+            const sections = [
+                { key: 'output', title: 'Calculation of Output Tax' },
+                { key: 'input', title: 'Calculation of Input Tax' },
+                { key: 'result', title: 'Net VAT' }
+            ];
+
+            sections.forEach(section => {
+                if (yPos > pageHeight - 30) {
+                    pdf.addPage();
+                    yPos = 20;
+                }
+                pdf.setFontSize(12);
+                pdf.setFont('helvetica', 'bold');
+                pdf.setTextColor(70, 130, 180);
+                pdf.text(section.title, leftMargin, yPos);
+                yPos += 7;
+
+                pdf.setFontSize(9);
+                pdf.setTextColor(0, 0, 0);
+                vat201.lines.filter(line => line.section === section.key).forEach(line => {
+                    const label = pdf.splitTextToSize(line.source === 'manual' ? `${line.label} (manual)` : line.label, 115);
+                    if (yPos + label.length * 4 > pageHeight - 10) {
+                        pdf.addPage();
+                        yPos = 20;
+                    }
+                    pdf.setFont('helvetica', line.kind === 'total' ? 'bold' : 'normal');
+                    pdf.text(line.field, leftMargin, yPos);
+                    pdf.text(label, leftMargin + 15, yPos);
+                    pdf.text(`${line.value < 0 ? '-' : ''}R ${this.formatCurrency(line.value)}`, rightMargin, yPos, { align: 'right' });
+                    yPos += label.length * 4 + 2;
+                });
+                yPos += 6;
+            });
+
+            const pageCount = pdf.internal.getNumberOfPages();
+            for (let i = 1; i <= pageCount; i++) {
+                pdf.setPage(i);
+                pdf.setFont('helvetica', 'normal');
+                pdf.setFontSize(8);
+                pdf.setTextColor(100, 100, 100);
+                pdf.text(`Page ${i} of ${pageCount}`, rightMargin - 30, 290);
+                pdf.text('Generated by VAT Calculator Pro', leftMargin, 290);
+            }
+
+            pdf.save(`VAT201_${this.currentFilename}_${new Date().toISOString().split('T')[0]}.pdf`);
+            this.showExportSuccess('VAT201 return exported as PDF');
+        } catch (error) {
+            console.error('VAT201 PDF export error:', error);
+            this.showError('Error generating VAT201 PDF', error.message);
+        }
+    }
+
+    exportVAT201JSON() {
+        if (!this.currentData) {
+            this.showError('No calculation data available for export', 'Please process a VAT calculation first.');
+            return;
+        }
+
+        const json = window.vat201Builder.toJSON(this.getVAT201(), { sourceFile: this.currentFilename });
+        this.downloadText(json, `VAT201_${this.currentFilename}_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+        this.showExportSuccess('VAT201 return exported as JSON');
+    }
+
+    exportVAT201CSV() {
+        if (!this.currentData) {
+            this.showError('No calculation data available for export', 'Please process a VAT calculation first.');
+            return;
+        }
+
+        const csv = window.vat201Builder.toCSV(this.getVAT201());
+        this.downloadText(csv, `VAT201_${this.currentFilename}_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+        this.showExportSuccess('VAT201 return exported as CSV');
+    }
+
+    // EXCLUDED ROWS WORKBOOK
+    exportExcludedRows() {
+        const skippedRows = this.currentData?.skippedRows;
+        if (!skippedRows || skippedRows.rows.length === 0) {
+            this.showError('No excluded rows', 'Every row in this file was included in the VAT figures.');
+            return;
+        }
+
+        try {
+            if (!window.XLSX) {
+                throw new Error('Excel library not loaded. Please refresh the page and try again.');
+            }
+
+            const wb = window.skippedRowReport.toWorkbook(skippedRows.rows, this.currentFilename, skippedRows.summary);
+            XLSX.writeFile(wb, `VAT_Excluded_Rows_${this.currentFilename}_${new Date().toISOString().split('T')[0]}.xlsx`);
+            this.showExportSuccess('Excluded rows exported successfully');
+        } catch (error) {
+            console.error('Excluded rows export error:', error);
+            this.showError('Error generating excluded rows workbook', error.message);
+        }
+    }
+
+    downloadText(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
     // TAX CODE BREAKDOWN EXPORT with formatted monetary values
     exportTaxCodeBreakdown() {
         if (!this.currentData) {
@@ -1125,33 +1249,37 @@ class DetailedExportManager {
     }
 
     getTransactionType(trCode) {
-        return ['CASH', 'JC', 'JNL', 'SINV', 'JD', 'RC'].includes(trCode) ? 'INPUT' : 'OUTPUT';
+        const direction = window.taxCodeRegistry.getDirection(trCode);
+        return direction ? direction.toUpperCase() : 'UNKNOWN';
     }
 
     getVATCategory(taxCode) {
-        switch (taxCode) {
-            case '1': return 'Standard Rate (15%)';
-            case '3': return 'Zero Rate (0%)';
-            case '5': return 'Exempt (0%)';
-            default: return 'Unknown';
-        }
+        const entry = window.taxCodeRegistry.getTaxCode(taxCode);
+        return entry ? entry.description : 'Unknown';
+    }
+
+    /**
+     * Pre-filled VAT201 return for the current calculation
+     */
+    getVAT201() {
+        return window.vat201Builder.build(this.currentData);
     }
 
     getStandardRatedOutputVAT() {
-        return this.currentData.taxCodeBreakdown['1']?.output?.vatAmount || 0;
+        const fields = this.getVAT201().fields;
+        return fields['4'] + fields['4A'];
     }
 
     getStandardRatedInputVAT() {
-        return this.currentData.taxCodeBreakdown['1']?.input?.vatAmount || 0;
+        return this.getVAT201().fields['15'];
     }
 
     getExemptOutputVAT() {
-        return this.currentData.taxCodeBreakdown['5']?.output?.vatAmount || 0;
+        return this.getVAT201().fields['3'];
     }
 
     getCapitalGoodsVAT() {
-        // This would need to be determined from transaction descriptions or additional data
-        return 0; // Placeholder
+        return this.getVAT201().fields['14'];
     }
 
     // UTILITY METHODS
@@ -0,0 +1,421 @@
+/**
+ * Duplicate Transaction Detection for VAT Calculator Pro
+ * Flags exact and near-duplicate rows within an upload and against files
+ * already processed (via fingerprints kept with HistoryManager entries),
+ * and runs the review step where flagged rows are included or excluded
+ * before calculateVAT
+ * Version: 1.0.0
+ */
+
+class DuplicateDetector {
+  constructor(config = {}) {
+    this.config = {
+      // Near-duplicates may be up to this many days apart
+      dateWindowDays: config.dateWindowDays !== undefined ? config.dateWindowDays : 3,
+      // Only the most recent history entries keep fingerprints (storage size)
+      historyFiles: config.historyFiles || 10,
+      ...config
+    };
+
+    this.pending = null;
+  }
+
+  /**
+   * Reference without case, spacing or punctuation ("INV-001" = "inv 001")
+   */
+  normalizeReference(reference) {
+    return String(reference === undefined || reference === null ? '' : reference)
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, '');
+  }
+
+  toDateKey(value) {
+    if (!(value instanceof Date) || isNaN(value.getTime())) {
+      return '';
+    }
+    return `${value.getFullYear()}-${value.getMonth() + 1}-${value.getDate()}`;
+  }
+
+  toAmount(value) {
+    return (Number(value) || 0).toFixed(2);
+  }
+
+  /**
+   * Key for rows that are the same journal line imported twice
+   */
+  getExactKey(row) {
+    return [
+      this.normalizeReference(row.Reference),
+      String(row.cAuditNumber || '').trim(),
+      this.toDateKey(row.TxDate),
+      String(row.TrCode || '').trim().toUpperCase(),
+      String(row.TaxCode),
+      this.toAmount(row.TaxAmount),
+      this.toAmount(row.ExclAmount),
+      this.toAmount(row.InclAmount)
+    ].join('|');
+  }
+
+  /**
+   * Key for rows with the same reference and amounts whose audit number or
+   * date differ, e.g. a journal re-posted in a later batch. Rows without a
+   * reference have no near key.
+   */
+  getNearKey(row) {
+    const reference = this.normalizeReference(row.Reference);
+    if (!reference) {
+      return null;
+    }
+    return [
+      reference,
+      String(row.TrCode || '').trim().toUpperCase(),
+      String(row.TaxCode),
+      this.toAmount(row.TaxAmount),
+      this.toAmount(row.ExclAmount)
+    ].join('|');
+  }
+
+  /**
+   * 53-bit string hash (cyrb53) so fingerprints stay small in storage
+   */
+  hash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  /**
+   * Fingerprints stored with a history entry: hashed exact and near keys
+   */
+  createHistoryIndex(rows) {
+    const exact = new Set();
+    const near = new Set();
+    rows.forEach(row => {
+      exact.add(this.hash(this.getExactKey(row)));
+      const nearKey = this.getNearKey(row);
+      if (nearKey) {
+        near.add(this.hash(nearKey));
+      }
+    });
+    return { exact: [...exact], near: [...near] };
+  }
+
+  /**
+   * Drop fingerprints from all but the most recent history entries
+   */
+  pruneHistory(history) {
+    history.slice(this.config.historyFiles).forEach(entry => {
+      delete entry.fingerprints;
+    });
+    return history;
+  }
+
+  /**
+   * Flag duplicates in rows (validateExcelData output). history is the
+   * HistoryManager list, newest first, and fileHash the upload's
+   * calculationArchive.hashFile result: earlier runs of the same file are
+   * not matched against. Returns one flag per flagged row.
+   */
+  detect(rows, history = [], fileHash = null) {
+    const flags = this.findInFile(rows);
+    const flagged = new Set(flags.map(flag => flag.index));
+    const historyFlags = this.findInHistory(rows, history, fileHash)
+      .filter(flag => !flagged.has(flag.index));
+
+    return [...flags, ...historyFlags].sort((a, b) => a.index - b.index);
+  }
+
+  findInFile(rows) {
+    const flags = [];
+    const firstByExactKey = new Map();
+    const byNearKey = new Map();
+
+    rows.forEach((row, index) => {
+      const exactKey = this.getExactKey(row);
+      if (firstByExactKey.has(exactKey)) {
+        flags.push(this.createFlag(row, index, 'exact', { row: rows[firstByExactKey.get(exactKey)] }));
+        return;
+      }
+      firstByExactKey.set(exactKey, index);
+
+      const nearKey = this.getNearKey(row);
+      if (!nearKey) {
+        return;
+      }
+      const earlier = byNearKey.get(nearKey) || [];
+      const match = earlier.find(other => this.withinWindow(rows[other].TxDate, row.TxDate));
+      if (match !== undefined) {
+        flags.push(this.createFlag(row, index, 'near', { row: rows[match] }));
+      }
+      earlier.push(index);
+      byNearKey.set(nearKey, earlier);
+    });
+
+    return flags;
+  }
+
+  findInHistory(rows, history, fileHash = null) {
+    const entries = history
+      .filter(entry => entry.fingerprints && !this.isSameFile(entry.fileHash, fileHash))
+      .map(entry => ({
+        entry,
+        exact: new Set(entry.fingerprints.exact),
+        near: new Set(entry.fingerprints.near)
+      }));
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const flags = [];
+    rows.forEach((row, index) => {
+      const exactHash = this.hash(this.getExactKey(row));
+      const exactMatch = entries.find(item => item.exact.has(exactHash));
+      if (exactMatch) {
+        flags.push(this.createFlag(row, index, 'exact', { history: exactMatch.entry }));
+        return;
+      }
+
+      const nearKey = this.getNearKey(row);
+      const nearHash = nearKey ? this.hash(nearKey) : null;
+      const nearMatch = nearHash && entries.find(item => item.near.has(nearHash));
+      if (nearMatch) {
+        flags.push(this.createFlag(row, index, 'near', { history: nearMatch.entry }));
+      }
+    });
+    return flags;
+  }
+
+  /**
+   * Re-processing a file matches every row of its earlier runs; those
+   * are recalculations, not duplicates
+   */
+  isSameFile(a, b) {
+    return Boolean(a && b) && a.algorithm === b.algorithm && a.value === b.value;
+  }
+
+  /**
+   * Undated rows match any date; dated rows must be within the window
+   */
+  withinWindow(a, b) {
+    if (!(a instanceof Date) || !(b instanceof Date)) {
+      return true;
+    }
+    return Math.abs(a - b) <= this.config.dateWindowDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Exact duplicates within the file start excluded. Near-duplicates and
+   * rows matching earlier files start included: the files may simply
+   * overlap, and the review summary warns about them
+   */
+  createFlag(row, index, type, match) {
+    return {
+      index,
+      rowNumber: row.SourceRow || index + 2,
+      sheet: row.SourceSheet || '',
+      reference: row.Reference || '',
+      trCode: row.TrCode,
+      taxCode: row.TaxCode,
+      taxAmount: Number(row.TaxAmount) || 0,
+      txDate: row.TxDate instanceof Date ? row.TxDate : null,
+      type,
+      scope: match.history ? 'history' : 'file',
+      matchDescription: this.describeMatch(match),
+      excluded: type === 'exact' && !match.history
+    };
+  }
+
+  describeMatch(match) {
+    if (match.history) {
+      const date = new Date(match.history.timestamp).toLocaleDateString();
+      return `${match.history.filename} (processed ${date})`;
+    }
+    const row = match.row;
+    return row.SourceSheet ? `${row.SourceSheet} row ${row.SourceRow}` : `row ${row.SourceRow}`;
+  }
+
+  getSummary(flags) {
+    return {
+      flagged: flags.length,
+      exact: flags.filter(flag => flag.type === 'exact').length,
+      near: flags.filter(flag => flag.type === 'near').length,
+      fromHistory: flags.filter(flag => flag.scope === 'history').length,
+      excluded: flags.filter(flag => flag.excluded).length,
+      excludedVAT: Math.round(flags
+        .filter(flag => flag.excluded)
+        .reduce((sum, flag) => sum + flag.taxAmount, 0) * 100) / 100
+    };
+  }
+
+  /**
+   * Rows kept after review. Excluded rows are added to skippedRows so they
+   * appear in the excluded-rows report.
+   */
+  applyReview(rows, flags, skippedRows = []) {
+    const excluded = new Map(flags.filter(flag => flag.excluded).map(flag => [flag.index, flag]));
+    return rows.filter((row, index) => {
+      const flag = excluded.get(index);
+      if (!flag) {
+        return true;
+      }
+      if (typeof window !== 'undefined' && window.skippedRowReport) {
+        const { SourceSheet, SourceRow, ...raw } = row;
+        skippedRows.push(window.skippedRowReport.createEntry({
+          sheet: SourceSheet,
+          rowNumber: SourceRow,
+          code: 'DUPLICATE',
+          reason: `${flag.type === 'exact' ? 'Duplicate' : 'Near-duplicate'} of ${flag.matchDescription}`,
+          raw
+        }));
+      }
+      return false;
+    });
+  }
+
+  // Review UI
+
+  /**
+   * Render the review screen and wait for the user to continue or cancel.
+   * Resolves with the flags (their excluded state as chosen).
+   */
+  requestReview(flags) {
+    if (this.pending) {
+      this.pending.reject(new Error('Duplicate review was superseded by a new upload.'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { flags, resolve, reject };
+      this.renderReview();
+    });
+  }
+
+  renderReview() {
+    const container = document.getElementById('duplicate-review');
+    if (!container || !this.pending) {
+      return;
+    }
+
+    const { flags } = this.pending;
+    container.innerHTML = `
+      <table class="mapping-preview-table duplicate-table">
+        <thead>
+          <tr>
+            <th>Include</th><th>Row</th><th>Reference</th><th>TxDate</th><th>TrCode</th>
+            <th>TaxCode</th><th>VAT</th><th>Type</th><th>Matches</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${flags.map((flag, position) => this.renderFlagRow(flag, position)).join('')}
+        </tbody>
+      </table>
+    `;
+
+    container.querySelectorAll('input[data-flag]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.pending.flags[Number(checkbox.dataset.flag)].excluded = !checkbox.checked;
+        this.renderSummary();
+      });
+    });
+
+    this.renderSummary();
+  }
+
+  renderFlagRow(flag, position) {
+    const row = flag.sheet ? `${flag.sheet} ${flag.rowNumber}` : flag.rowNumber;
+    return `
+      <tr class="duplicate-${flag.type}">
+        <td><input type="checkbox" data-flag="${position}" ${flag.excluded ? '' : 'checked'}
+          aria-label="Include row ${this.escapeHtml(row)}"></td>
+        <td>${this.escapeHtml(row)}</td>
+        <td>${this.escapeHtml(flag.reference)}</td>
+        <td>${flag.txDate ? flag.txDate.toLocaleDateString() : ''}</td>
+        <td>${this.escapeHtml(flag.trCode)}</td>
+        <td>${this.escapeHtml(flag.taxCode)}</td>
+        <td>${flag.taxAmount.toFixed(2)}</td>
+        <td>${flag.type === 'exact' ? 'Exact' : 'Near'}${flag.scope === 'history' ? ' (history)' : ''}</td>
+        <td>${this.escapeHtml(flag.matchDescription)}</td>
+      </tr>
+    `;
+  }
+
+  renderSummary() {
+    const status = document.getElementById('duplicate-summary');
+    if (!status || !this.pending) {
+      return;
+    }
+
+    const summary = this.getSummary(this.pending.flags);
+    const historyWarning = summary.fromHistory > 0
+      ? ' Rows already processed in earlier files are included unless you exclude them: ' +
+        'check they are not counted in another return.'
+      : '';
+    status.className = 'file-status warning';
+    status.style.display = 'block';
+    status.textContent = `${summary.flagged} possible duplicate${summary.flagged === 1 ? '' : 's'} ` +
+      `(${summary.exact} exact, ${summary.near} near, ${summary.fromHistory} already processed in earlier files). ` +
+      `${summary.excluded} will be excluded, removing ${summary.excludedVAT.toFixed(2)} VAT.${historyWarning}`;
+  }
+
+  /**
+   * Include or exclude every flagged row
+   */
+  setAll(included) {
+    if (!this.pending) {
+      return;
+    }
+    this.pending.flags.forEach(flag => {
+      flag.excluded = !included;
+    });
+    this.renderReview();
+  }
+
+  /**
+   * Continue button handler
+   */
+  confirm() {
+    if (!this.pending) {
+      return;
+    }
+    const { resolve, flags } = this.pending;
+    this.pending = null;
+    resolve(flags);
+  }
+
+  /**
+   * Cancel button handler
+   */
+  cancel() {
+    if (!this.pending) {
+      return;
+    }
+    const { reject } = this.pending;
+    this.pending = null;
+    const error = new Error('Duplicate review cancelled.');
+    error.cancelled = true;
+    reject(error);
+  }
+
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DuplicateDetector;
+}
+
+if (typeof window !== 'undefined') {
+  window.duplicateDetector = new DuplicateDetector();
+}
@@ -0,0 +1,166 @@
+/**
+ * Multi-Entity Grouping for VAT Calculator Pro
+ * Lets the user pick a column (usually Company) that identifies the legal
+ * entity in a consolidated export, and splits the calculation into
+ * per-entity results alongside the consolidated figure
+ * Version: 1.0.0
+ */
+
+class EntityGrouper {
+  constructor(config = {}) {
+    this.config = {
+      containerId: config.containerId || 'entity-selection',
+      storageKey: config.storageKey || 'vatCalculatorEntityColumn',
+      blankLabel: config.blankLabel || '(No entity)',
+      // Ledger columns that never identify an entity
+      excludedColumns: config.excludedColumns || ['TaxCode', 'TaxDescription', 'TrCode', 'TaxRate', 'TaxAmount',
+        'ExclAmount', 'InclAmount', 'TxDate', 'DTStamp'],
+      ...config
+    };
+
+    this.headers = [];
+    this.column = this.loadColumn();
+  }
+
+  loadColumn() {
+    try {
+      return (typeof localStorage !== 'undefined' && localStorage.getItem(this.config.storageKey)) || '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  saveColumn() {
+    if (typeof localStorage === 'undefined') {
+      return;
+    }
+    if (this.column) {
+      localStorage.setItem(this.config.storageKey, this.column);
+    } else {
+      localStorage.removeItem(this.config.storageKey);
+    }
+  }
+
+  /**
+   * Column used for grouping, or '' when the file has no such column
+   */
+  getColumn() {
+    return this.headers.includes(this.column) ? this.column : '';
+  }
+
+  setColumn(column) {
+    this.column = column || '';
+    this.saveColumn();
+  }
+
+  /**
+   * Entity name for a raw sheet row
+   */
+  getEntity(row, column = this.getColumn()) {
+    if (!column) {
+      return '';
+    }
+    const value = row[column];
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    return text || this.config.blankLabel;
+  }
+
+  // Calculation
+
+  /**
+   * Entity a validated row is grouped under (the engine keeps one
+   * running calculation per entity)
+   */
+  getGroupName(row) {
+    return row.Entity || this.config.blankLabel;
+  }
+
+  /**
+   * Excel sheet name for an entity: at most 31 characters, no []:*?/\ and
+   * unique within the workbook
+   */
+  toSheetName(name, usedNames = []) {
+    const base = `Entity - ${name}`.replace(/[[\]:*?/\\]/g, ' ').substring(0, 31).trim();
+    let sheetName = base;
+    let suffix = 2;
+    while (usedNames.includes(sheetName)) {
+      sheetName = `${base.substring(0, 31 - String(suffix).length - 1)} ${suffix}`;
+      suffix++;
+    }
+    return sheetName;
+  }
+
+  // Upload page selector
+
+  /**
+   * Offer the workbook's non-ledger columns as grouping options
+   */
+  load(workbook, sheetName = workbook.SheetNames[0]) {
+    const worksheet = workbook.Sheets[sheetName];
+    const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false }) : [];
+    this.headers = (rows[0] || [])
+      .map(header => String(header === undefined ? '' : header).trim())
+      .filter(header => header !== '' && !this.config.excludedColumns.includes(header));
+    this.render();
+  }
+
+  reset() {
+    this.headers = [];
+    this.render();
+  }
+
+  render() {
+    const container = document.getElementById(this.config.containerId);
+    if (!container) {
+      return;
+    }
+
+    if (this.headers.length === 0) {
+      container.innerHTML = '';
+      container.style.display = 'none';
+      return;
+    }
+
+    const selected = this.getColumn();
+    container.style.display = 'block';
+    container.innerHTML = `
+      <h3>Entities</h3>
+      <p class="registry-help">
+        Consolidated exports can be split by a column such as Company.
+        Each entity gets its own VAT payable next to the combined figure.
+      </p>
+      <div class="form-group">
+        <label for="entity-column">Group results by</label>
+        <select id="entity-column">
+          <option value="">No grouping (one combined figure)</option>
+          ${this.headers.map(header => `
+            <option value="${this.escapeHtml(header)}" ${header === selected ? 'selected' : ''}>
+              ${this.escapeHtml(header)}
+            </option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+
+    container.querySelector('#entity-column').addEventListener('change', event => {
+      this.setColumn(event.target.value);
+    });
+  }
+
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EntityGrouper;
+}
+
+if (typeof window !== 'undefined') {
+  window.entityGrouper = new EntityGrouper();
+}
@@ -45,10 +45,10 @@ class ErrorHandler {
             errors.push({
                 code: 'INVALID_FORMAT',
                 message: 'Invalid file format detected.',
-                solution: 'Please upload a .xlsx or .xls file.',
+                solution: 'Please upload a .xlsx, .xls, .csv or .tsv file.',
                 suggestions: [
                     'Convert your file to Excel format using Excel or Google Sheets',
-                    'Ensure the file extension is .xlsx or .xls',
+                    'Ensure the file extension is .xlsx, .xls, .csv or .tsv',
                     'Check that the file is not corrupted'
                 ]
             });
@@ -148,9 +148,10 @@ class ErrorHandler {
     validateDataQuality(data) {
         const errors = [];
         const warnings = [];
-        const validTaxCodes = ['CASH', 'JC', 'JNL', 'SINV', 'JD', 'RC', 'IS', 'INV', 'RTS'];
+        const registry = window.taxCodeRegistry;
         let invalidRows = 0;
         let invalidTaxCodes = new Set();
+        let unknownTrCodes = new Set();
         let invalidAmounts = new Set();
 
         data.forEach((row, index) => {
@@ -158,11 +159,16 @@ class ErrorHandler {
             let rowHasErrors = false;
 
             // Validate TaxCode
-            if (!validTaxCodes.includes(String(row.TaxCode))) {
+            if (!registry.isValidTaxCode(row.TaxCode)) {
                 invalidTaxCodes.add(row.TaxCode);
                 rowHasErrors = true;
             }
 
+            // Unknown TrCodes are skipped by the engine rather than rejected
+            if (!registry.getDirection(row.TrCode)) {
+                unknownTrCodes.add(row.TrCode);
+            }
+
             // Validate numeric fields
             const numericFields = ['TaxRate', 'TaxAmount', 'ExclAmount', 'InclAmount'];
             numericFields.forEach(field => {
@@ -182,13 +188,25 @@ class ErrorHandler {
             errors.push({
                 code: 'INVALID_TAX_CODES',
                 message: `Invalid tax codes found: ${Array.from(invalidTaxCodes).join(', ')}`,
-                solution: 'Please use only valid South African VAT tax codes.',
+                solution: 'Please use only tax codes defined in the tax code registry (Settings).',
+                details: {
+                    validCodes: Object.keys(registry.getTaxCodes()),
+                    invalidCodes: Array.from(invalidTaxCodes)
+                }
+            });
+        }
+
+        if (unknownTrCodes.size > 0) {
+            warnings.push({
+                code: 'UNKNOWN_TR_CODES',
+                message: `Unknown transaction codes will be excluded: ${Array.from(unknownTrCodes).join(', ')}`,
+                solution: 'Add these codes to the transaction code registry (Settings) with an INPUT or OUTPUT direction.',
                 details: {
                     validCodes: {
-                        input: ['CASH', 'JC', 'JNL', 'SINV', 'JD', 'RC'],
-                        output: ['IS', 'INV', 'RTS']
+                        input: registry.getInputCodes(),
+                        output: registry.getOutputCodes()
                     },
-                    invalidCodes: Array.from(invalidTaxCodes)
+                    unknownCodes: Array.from(unknownTrCodes)
                 }
             });
         }
@@ -338,9 +356,11 @@ class ErrorHandler {
     isValidExcelFile(file) {
         const validTypes = [
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            'application/vnd.ms-excel'
+            'application/vnd.ms-excel',
+            'text/csv',
+            'text/tab-separated-values'
         ];
-        const validExtensions = ['.xlsx', '.xls'];
+        const validExtensions = ['.xlsx', '.xls', '.csv', '.tsv'];
         
         return validTypes.includes(file.type) || 
                validExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
@@ -355,6 +375,16 @@ class ErrorHandler {
     }
 
     suggestColumnMapping(userColumns, requiredColumns) {
+        if (typeof window !== 'undefined' && window.columnMapper) {
+            const suggested = window.columnMapper.suggestMapping(userColumns);
+            return requiredColumns.reduce((mapping, required) => {
+                if (suggested[required]) {
+                    mapping[required] = suggested[required];
+                }
+                return mapping;
+            }, {});
+        }
+
         const mapping = {};
         
         requiredColumns.forEach(required => {
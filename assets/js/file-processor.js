@@ -1,4 +1,4 @@
-// File Processor - Handles Excel file upload and validation
+// File Processor - Handles Excel and CSV/TSV file upload and validation
 
 // File Upload Functions
 function handleFileSelect(event) {
@@ -18,11 +18,13 @@ function validateFile(file) {
 
     // Check file type
     const validTypes = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 
-                      'application/vnd.ms-excel'];
+                      'application/vnd.ms-excel',
+                      'text/csv',
+                      'text/tab-separated-values'];
+    const validExtensions = ['.xlsx', '.xls', '.csv', '.tsv'];
     if (!validTypes.includes(file.type) && 
-        !file.name.toLowerCase().endsWith('.xlsx') && 
-        !file.name.toLowerCase().endsWith('.xls')) {
-        showFileStatus('error', 'Invalid file type. Please upload a .xlsx or .xls file.');
+        !validExtensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
+        showFileStatus('error', 'Invalid file type. Please upload a .xlsx, .xls, .csv or .tsv file.');
         processBtn.disabled = true;
         return;
     }
@@ -120,6 +122,11 @@ async function processFile() {
 }
 
 function readExcelFile(file) {
+    // CSV/TSV exports are parsed into an equivalent workbook
+    if (window.csvParser && window.csvParser.isDelimitedFile(file)) {
+        return window.csvParser.readFile(file);
+    }
+
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = function(e) {
@@ -166,7 +173,7 @@ function validateExcelData(workbook) {
         const rowNum = index + 2; // Excel row number (accounting for header)
 
         // Validate TaxCode
-        if (!TAX_CODES[String(row.TaxCode)]) {
+        if (!window.taxCodeRegistry.isValidTaxCode(row.TaxCode)) {
             console.warn(`Row ${rowNum}: Invalid TaxCode "${row.TaxCode}", skipping`);
             return null;
         }
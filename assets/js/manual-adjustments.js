@@ -0,0 +1,160 @@
+/**
+ * Manual Adjustments for VAT Calculator Pro
+ * Journal lines keyed in on the results page before filing: a late
+ * invoice, a reversed row, a bad-debt adjustment. Each line has a tax
+ * code, direction, amounts, reason and author. VatEngine.calculate adds
+ * them to the totals (options.adjustments) but not to the tax code, TrCode
+ * or sheet breakdowns, which stay as imported; results.adjustments
+ * summarizes them with the totals from the rows alone.
+ * Version: 1.0.0
+ */
+
+class ManualAdjustments {
+  constructor(config = {}) {
+    this.config = {
+      maxReasonLength: config.maxReasonLength || 500,
+      ...config
+    };
+  }
+
+  /**
+   * Adjustment line from form fields: { taxCode, direction ('output' or
+   * 'input'), exclAmount, vatAmount, reason, author }. Amounts may be
+   * negative (reversals, bad debts); a blank VAT amount is calculated at
+   * the tax code's rate. Throws an Error listing every invalid field
+   */
+  create(fields, registry) {
+    const line = this.readFields(fields, registry);
+    const errors = this.validate(line, registry);
+    if (errors.length > 0) {
+      throw new Error(errors.join('. '));
+    }
+
+    return {
+      id: `adj-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      ...line,
+      exclAmount: this.round(line.exclAmount),
+      vatAmount: this.round(line.vatAmount),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  readFields(fields, registry) {
+    const taxCode = String(fields.taxCode || '').trim();
+    const codeInfo = registry.getTaxCodes()[taxCode];
+    const exclAmount = this.parseAmount(fields.exclAmount);
+    const vatBlank = String(fields.vatAmount === undefined || fields.vatAmount === null ? '' : fields.vatAmount)
+      .trim() === '';
+    return {
+      taxCode,
+      direction: fields.direction,
+      exclAmount,
+      vatAmount: vatBlank && codeInfo && exclAmount !== null
+        ? this.round(exclAmount * codeInfo.rate / 100)
+        : this.parseAmount(fields.vatAmount),
+      reason: String(fields.reason || '').trim().slice(0, this.config.maxReasonLength),
+      author: String(fields.author || '').trim()
+    };
+  }
+
+  /**
+   * Messages for the fields of a line that are missing or invalid
+   */
+  validate(line, registry) {
+    const checks = [
+      [!registry.getTaxCodes()[line.taxCode],
+        line.taxCode ? `Tax code "${line.taxCode}" is not in the registry` : 'Choose a tax code'],
+      [line.direction !== 'output' && line.direction !== 'input', 'Choose output (sales) or input (purchases)'],
+      [line.exclAmount === null || line.vatAmount === null, 'Amounts must be numbers'],
+      [line.exclAmount === 0 && line.vatAmount === 0, 'Enter an amount'],
+      [!line.reason, 'Give a reason'],
+      [!line.author, 'Enter who made the adjustment']
+    ];
+    return checks.filter(([failed]) => failed).map(([, message]) => message);
+  }
+
+  /**
+   * Number from a form value ('1 250,50', '-300', 'R 99.95'), or null
+   */
+  parseAmount(value) {
+    if (typeof value === 'number') {
+      return isFinite(value) ? value : null;
+    }
+    const text = String(value || '').replace(/[R\s]/gi, '').replace(/,(?=\d{1,2}$)/, '.').replace(/,/g, '');
+    if (text === '') {
+      return 0;
+    }
+    const amount = Number(text);
+    return isFinite(amount) ? amount : null;
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+
+  /**
+   * Add adjustments to the totals of finalized results. Returns the
+   * summary kept as results.adjustments (the lines, their totals by
+   * direction and the totals before adjustment), or null when there are none
+   */
+  apply(results, adjustments, registry) {
+    if (!adjustments || adjustments.length === 0) {
+      return null;
+    }
+
+    const summary = {
+      entries: adjustments.map(adjustment => ({ ...adjustment })),
+      count: adjustments.length,
+      outputVAT: 0,
+      outputExcl: 0,
+      inputVAT: 0,
+      inputExcl: 0,
+      vatPayable: 0,
+      unadjusted: {
+        totalOutputVAT: results.totalOutputVAT,
+        totalInputVAT: results.totalInputVAT,
+        salesExcludingVAT: results.salesExcludingVAT,
+        salesIncludingVAT: results.salesIncludingVAT,
+        zeroRatedSales: results.zeroRatedSales,
+        vatPayable: results.vatPayable
+      }
+    };
+
+    adjustments.forEach(adjustment => {
+      if (adjustment.direction === 'input') {
+        summary.inputVAT += adjustment.vatAmount;
+        summary.inputExcl += adjustment.exclAmount;
+        results.totalInputVAT += adjustment.vatAmount;
+        return;
+      }
+      summary.outputVAT += adjustment.vatAmount;
+      summary.outputExcl += adjustment.exclAmount;
+      results.totalOutputVAT += adjustment.vatAmount;
+      results.salesExcludingVAT += adjustment.exclAmount;
+      if (registry.getCategory(adjustment.taxCode) === 'zero') {
+        results.zeroRatedSales += adjustment.exclAmount;
+      }
+    });
+
+    ['outputVAT', 'outputExcl', 'inputVAT', 'inputExcl'].forEach(key => {
+      summary[key] = this.round(summary[key]);
+    });
+    summary.vatPayable = this.round(summary.outputVAT - summary.inputVAT);
+
+    results.totalOutputVAT = this.round(results.totalOutputVAT);
+    results.totalInputVAT = this.round(results.totalInputVAT);
+    results.salesExcludingVAT = this.round(results.salesExcludingVAT);
+    results.zeroRatedSales = this.round(results.zeroRatedSales);
+    results.salesIncludingVAT = this.round(results.salesExcludingVAT + results.totalOutputVAT);
+    results.vatPayable = this.round(results.totalOutputVAT - results.totalInputVAT);
+    return summary;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ManualAdjustments;
+}
+
+if (typeof window !== 'undefined') {
+  window.manualAdjustments = new ManualAdjustments();
+}
@@ -1,7 +1,6 @@
 // Performance Optimization System
 class PerformanceManager {
     constructor() {
-        this.webWorker = null;
         this.performanceMetrics = {};
         this.chunkSize = 1000; // Process 1000 rows at a time
         this.initializePerformanceMonitoring();
@@ -20,86 +19,12 @@ class PerformanceManager {
         this.monitorLoadingPerformance();
     }
 
-    // Web Workers for Large File Processing
-    initializeWebWorker() {
-        if (!window.Worker) {
-            console.warn('Web Workers not supported. Falling back to main thread processing.');
-            return null;
-        }
-
-        const workerScript = `
-            // Web Worker for VAT calculations
-            self.onmessage = function(e) {
-                const { data, chunkIndex, totalChunks } = e.data;
-                
-                try {
-                    const results = processVATChunk(data);
-                    self.postMessage({
-                        success: true,
-                        results,
-                        chunkIndex,
-                        totalChunks,
-                        progress: ((chunkIndex + 1) / totalChunks) * 100
-                    });
-                } catch (error) {
-                    self.postMessage({
-                        success: false,
-                        error: error.message,
-                        chunkIndex
-                    });
-                }
-            };
-
-            function processVATChunk(data) {
-                const VAT_INPUT_CODES = ['CASH', 'JC', 'JNL', 'SINV', 'JD', 'RC'];
-                const VAT_OUTPUT_CODES = ['IS', 'INV', 'RTS'];
-                
-                const results = {
-                    inputVAT: 0,
-                    outputVAT: 0,
-                    transactions: data.length,
-                    breakdown: {}
-                };
-
-                data.forEach(row => {
-                    const taxCode = String(row.TaxCode);
-                    const taxAmount = Number(row.TaxAmount) || 0;
-                    
-                    if (!results.breakdown[taxCode]) {
-                        results.breakdown[taxCode] = {
-                            count: 0,
-                            total: 0,
-                            type: VAT_INPUT_CODES.includes(taxCode) ? 'input' : 
-                                  VAT_OUTPUT_CODES.includes(taxCode) ? 'output' : 'unknown'
-                        };
-                    }
-                    
-                    results.breakdown[taxCode].count++;
-                    results.breakdown[taxCode].total += taxAmount;
-                    
-                    if (VAT_INPUT_CODES.includes(taxCode)) {
-                        results.inputVAT += taxAmount;
-                    } else if (VAT_OUTPUT_CODES.includes(taxCode)) {
-                        results.outputVAT += taxAmount;
-                    }
-                });
-
-                return results;
-            }
-        `;
-
-        const blob = new Blob([workerScript], { type: 'application/javascript' });
-        this.webWorker = new Worker(URL.createObjectURL(blob));
-
-        return this.webWorker;
-    }
-
     // Chunk-based Processing with Progress Updates
     async processLargeDataset(data, progressCallback) {
         const startTime = performance.now();
         
         // Check if we should use web worker
-        if (data.length > 5000 && window.Worker) {
+        if (data.length > 5000 && window.vatWorker && window.vatWorker.isSupported()) {
             return this.processWithWebWorker(data, progressCallback);
         }
 
@@ -107,53 +32,14 @@ class PerformanceManager {
         return this.processWithChunks(data, progressCallback);
     }
 
+    // Large files go through the engine worker (assets/js/vat-worker.js)
     async processWithWebWorker(data, progressCallback) {
-        return new Promise((resolve, reject) => {
-            const worker = this.initializeWebWorker();
-            if (!worker) {
-                // Fallback to chunk processing
-                return this.processWithChunks(data, progressCallback);
-            }
-
-            const chunks = this.chunkArray(data, this.chunkSize);
-            const results = [];
-            let completedChunks = 0;
-
-            worker.onmessage = (e) => {
-                const { success, results: chunkResults, error, progress } = e.data;
-                
-                if (success) {
-                    results.push(chunkResults);
-                    completedChunks++;
-                    
-                    if (progressCallback) {
-                        progressCallback(progress, `Processing chunk ${completedChunks}/${chunks.length}`);
-                    }
-                    
-                    if (completedChunks === chunks.length) {
-                        const finalResults = this.combineChunkResults(results);
-                        worker.terminate();
-                        resolve(finalResults);
-                    }
-                } else {
-                    worker.terminate();
-                    reject(new Error(error));
+        return window.vatWorker.calculate(data, {
+            onProgress: (stage, done, total) => {
+                if (progressCallback) {
+                    progressCallback((done / total) * 100, `Processing ${done}/${total} rows`);
                 }
-            };
-
-            worker.onerror = (error) => {
-                worker.terminate();
-                reject(error);
-            };
-
-            // Send chunks to worker
-            chunks.forEach((chunk, index) => {
-                worker.postMessage({
-                    data: chunk,
-                    chunkIndex: index,
-                    totalChunks: chunks.length
-                });
-            });
+            }
         });
     }
 
@@ -178,8 +64,7 @@ class PerformanceManager {
     }
 
     processVATChunk(data) {
-        const VAT_INPUT_CODES = ['CASH', 'JC', 'JNL', 'SINV', 'JD', 'RC'];
-        const VAT_OUTPUT_CODES = ['IS', 'INV', 'RTS'];
+        const registry = window.taxCodeRegistry;
         
         const results = {
             inputVAT: 0,
@@ -191,22 +76,23 @@ class PerformanceManager {
         data.forEach(row => {
             const taxCode = String(row.TaxCode);
             const taxAmount = Number(row.TaxAmount) || 0;
+            const direction = registry.getDirection(row.TrCode) || 'unknown';
+            const key = `${taxCode}:${direction}`;
             
-            if (!results.breakdown[taxCode]) {
-                results.breakdown[taxCode] = {
+            if (!results.breakdown[key]) {
+                results.breakdown[key] = {
                     count: 0,
                     total: 0,
-                    type: VAT_INPUT_CODES.includes(taxCode) ? 'input' : 
-                          VAT_OUTPUT_CODES.includes(taxCode) ? 'output' : 'unknown'
+                    type: direction
                 };
             }
             
-            results.breakdown[taxCode].count++;
-            results.breakdown[taxCode].total += taxAmount;
+            results.breakdown[key].count++;
+            results.breakdown[key].total += taxAmount;
             
-            if (VAT_INPUT_CODES.includes(taxCode)) {
+            if (direction === 'input') {
                 results.inputVAT += taxAmount;
-            } else if (VAT_OUTPUT_CODES.includes(taxCode)) {
+            } else if (direction === 'output') {
                 results.outputVAT += taxAmount;
             }
         });
@@ -527,3 +413,4 @@ class PerformanceManager {
 
 // Initialize performance manager
 const performanceManager = new PerformanceManager();
+window.performanceManager = performanceManager;
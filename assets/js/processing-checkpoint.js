@@ -0,0 +1,109 @@
+/**
+ * Processing Checkpoints for VAT Calculator Pro
+ * Keeps the state of the calculation in progress in IndexedDB so it can
+ * be resumed after a reload or crash: the uploaded file and the choices
+ * made for it once it has been read (stage 'read'), then the validated
+ * and reviewed rows (stage 'validated'). One checkpoint is kept; it is
+ * cleared when the results are shown or the run is cancelled.
+ * Version: 1.0.0
+ */
+
+class ProcessingCheckpoint {
+  constructor(config = {}) {
+    this.config = {
+      dbName: config.dbName || 'vatCalculatorPro',
+      storeName: config.storeName || 'checkpoints',
+      key: config.key || 'current',
+      // Older checkpoints are discarded rather than offered for resume
+      maxAgeDays: config.maxAgeDays || 7,
+      ...config
+    };
+
+    this.db = null;
+    // Saves and clears run in the order they were made
+    this.queue = Promise.resolve();
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.config.dbName, 1);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(this.config.storeName)) {
+            request.result.createObjectStore(this.config.storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async run(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.config.storeName, mode);
+      const request = action(transaction.objectStore(this.config.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  enqueue(operation, failure) {
+    if (!this.isSupported()) {
+      return Promise.resolve(null);
+    }
+    // A checkpoint that cannot be written (quota, private mode) must not stop processing
+    this.queue = this.queue.then(operation).catch(error => {
+      console.warn(failure, error);
+      return null;
+    });
+    return this.queue;
+  }
+
+  /**
+   * Store checkpoint ({ stage, filename, file, ... }) in place of the last one
+   */
+  save(checkpoint) {
+    const entry = { ...checkpoint, savedAt: new Date().toISOString() };
+    return this.enqueue(() => this.run('readwrite', store => store.put(entry, this.config.key)),
+      'Failed to save processing checkpoint:');
+  }
+
+  /**
+   * The saved checkpoint, or null when there is none or it has expired
+   */
+  load() {
+    return this.enqueue(async () => {
+      const checkpoint = await this.run('readonly', store => store.get(this.config.key));
+      if (!checkpoint) {
+        return null;
+      }
+      const age = Date.now() - new Date(checkpoint.savedAt).getTime();
+      if (!(age <= this.config.maxAgeDays * 24 * 60 * 60 * 1000)) {
+        await this.run('readwrite', store => store.delete(this.config.key));
+        return null;
+      }
+      return checkpoint;
+    }, 'Failed to load processing checkpoint:');
+  }
+
+  clear() {
+    return this.enqueue(() => this.run('readwrite', store => store.delete(this.config.key)),
+      'Failed to clear processing checkpoint:');
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProcessingCheckpoint;
+}
+
+if (typeof window !== 'undefined') {
+  window.processingCheckpoint = new ProcessingCheckpoint();
+}
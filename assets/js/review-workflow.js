@@ -0,0 +1,191 @@
+/**
+ * Review Workflow for VAT Calculator Pro
+ * Sign-off of an archived calculation before its return is filed. A
+ * calculation starts as a draft; the preparer marks it prepared, someone
+ * else signs it off as reviewed, and it is then locked, after which it
+ * cannot be recalculated or adjusted. Reviewers leave notes on each tax
+ * code section. The review is kept on the HistoryManager entry; methods
+ * return a new review rather than changing the one given.
+ * Version: 1.0.0
+ */
+
+class ReviewWorkflow {
+  constructor(config = {}) {
+    this.config = {
+      maxNoteLength: config.maxNoteLength || 1000,
+      maxCommentLength: config.maxCommentLength || 500,
+      ...config
+    };
+  }
+
+  /**
+   * Review of a calculation that has none yet (new, or archived before
+   * reviews were kept)
+   */
+  create() {
+    return { state: 'draft', signOffs: {}, history: [], notes: {} };
+  }
+
+  isLocked(review) {
+    return Boolean(review) && review.state === 'locked';
+  }
+
+  /**
+   * Actions open to a review in its current state
+   */
+  getActions(review) {
+    return Object.entries(ReviewWorkflow.ACTIONS)
+      .filter(([, action]) => action.from.includes(review.state))
+      .map(([name, action]) => ({ name, ...action }));
+  }
+
+  /**
+   * Review after action ('prepare', 'review', 'reopen' or 'lock') by
+   * fields.by, with an optional fields.comment (required to reopen).
+   * Throws an Error when the action is not open or a field is missing
+   */
+  transition(review, actionName, fields = {}) {
+    const action = ReviewWorkflow.ACTIONS[actionName];
+    if (!action) {
+      throw new Error(`Unknown review action "${actionName}"`);
+    }
+    if (!action.from.includes(review.state)) {
+      throw new Error(`A ${ReviewWorkflow.STATES[review.state].label.toLowerCase()} calculation cannot be ` +
+        `${action.verb}`);
+    }
+
+    const by = String(fields.by || '').trim();
+    const comment = String(fields.comment || '').trim().slice(0, this.config.maxCommentLength);
+    const errors = this.validate(review, actionName, by, comment);
+    if (errors.length > 0) {
+      throw new Error(errors.join('. '));
+    }
+
+    const at = new Date().toISOString();
+    // Reopening clears the sign-offs; preparing again clears an earlier review
+    const signOffs = actionName === 'reopen' ? {} : { ...review.signOffs, [action.to]: { by, at } };
+    if (actionName === 'prepare') {
+      delete signOffs.reviewed;
+    }
+    return {
+      ...review,
+      state: action.to,
+      signOffs,
+      history: [...review.history, { action: actionName, from: review.state, to: action.to, by, at, comment }]
+    };
+  }
+
+  validate(review, actionName, by, comment) {
+    const preparer = review.signOffs.prepared ? review.signOffs.prepared.by : '';
+    const checks = [
+      [!by, 'Enter your name'],
+      [actionName === 'review' && by.toLowerCase() === preparer.toLowerCase(),
+        `The reviewer must be someone other than the preparer (${preparer})`],
+      [actionName === 'reopen' && !comment, 'Say why the calculation goes back to draft']
+    ];
+    return checks.filter(([failed]) => failed).map(([, message]) => message);
+  }
+
+  /**
+   * Review after the figures changed (manual adjustments): a prepared or
+   * reviewed calculation goes back to draft, as its sign-off no longer
+   * covers them. Throws an Error for a locked calculation
+   */
+  afterRecalculation(review) {
+    if (this.isLocked(review)) {
+      throw new Error('This calculation is locked: it cannot be recalculated or adjusted');
+    }
+    if (review.state === 'draft') {
+      return review;
+    }
+    return {
+      ...review,
+      state: 'draft',
+      signOffs: {},
+      history: [...review.history, {
+        action: 'reopen',
+        from: review.state,
+        to: 'draft',
+        by: null,
+        at: new Date().toISOString(),
+        comment: 'Figures changed by manual adjustments'
+      }]
+    };
+  }
+
+  /**
+   * Review with a note on a tax code section. Throws an Error when the
+   * calculation is locked or the text or author is missing
+   */
+  addNote(review, taxCode, fields = {}) {
+    const text = String(fields.text || '').trim().slice(0, this.config.maxNoteLength);
+    const author = String(fields.author || '').trim();
+    const checks = [
+      [this.isLocked(review), 'Notes cannot be added to a locked calculation'],
+      [!text, 'Write a note'],
+      [!author, 'Enter your name']
+    ];
+    const errors = checks.filter(([failed]) => failed).map(([, message]) => message);
+    if (errors.length > 0) {
+      throw new Error(errors.join('. '));
+    }
+
+    const note = {
+      id: `note-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      author,
+      text,
+      createdAt: new Date().toISOString()
+    };
+    const key = String(taxCode);
+    return {
+      ...review,
+      notes: { ...review.notes, [key]: [...(review.notes[key] || []), note] }
+    };
+  }
+
+  getNotes(review, taxCode) {
+    return review && review.notes[String(taxCode)] ? review.notes[String(taxCode)] : [];
+  }
+
+  /**
+   * "Reviewed by / on" line for export footers
+   */
+  getSignOffLine(review) {
+    if (!review) {
+      return '';
+    }
+    const { prepared, reviewed, locked } = review.signOffs;
+    const date = signOff => new Date(signOff.at).toLocaleDateString('en-ZA');
+    const parts = [];
+    if (prepared) {
+      parts.push(`Prepared by ${prepared.by} on ${date(prepared)}`);
+    }
+    parts.push(reviewed ? `Reviewed by ${reviewed.by} on ${date(reviewed)}` : 'Not yet reviewed');
+    if (locked) {
+      parts.push(`Locked by ${locked.by} on ${date(locked)}`);
+    }
+    return `Review status: ${ReviewWorkflow.STATES[review.state].label}. ${parts.join('; ')}`;
+  }
+}
+
+ReviewWorkflow.STATES = {
+  draft: { label: 'Draft', icon: '📝' },
+  prepared: { label: 'Prepared', icon: '📋' },
+  reviewed: { label: 'Reviewed', icon: '✅' },
+  locked: { label: 'Locked', icon: '🔒' }
+};
+
+ReviewWorkflow.ACTIONS = {
+  prepare: { from: ['draft'], to: 'prepared', label: 'Mark as Prepared', verb: 'marked as prepared' },
+  review: { from: ['prepared'], to: 'reviewed', label: 'Sign Off as Reviewed', verb: 'signed off as reviewed' },
+  reopen: { from: ['prepared', 'reviewed'], to: 'draft', label: 'Return to Draft', verb: 'returned to draft' },
+  lock: { from: ['reviewed'], to: 'locked', label: 'Lock for Filing', verb: 'locked' }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReviewWorkflow;
+}
+
+if (typeof window !== 'undefined') {
+  window.reviewWorkflow = new ReviewWorkflow();
+}
@@ -0,0 +1,145 @@
+/**
+ * Worksheet Selector for VAT Calculator Pro
+ * Lists the sheets in an uploaded workbook with their row counts and lets
+ * the user choose which ones are consolidated into the calculation
+ * Version: 1.0.0
+ */
+
+class SheetSelector {
+  constructor(config = {}) {
+    this.config = {
+      containerId: config.containerId || 'sheet-selection',
+      requiredColumns: config.requiredColumns ||
+        ['TaxCode', 'TaxDescription', 'TrCode', 'TaxRate', 'TaxAmount', 'ExclAmount', 'InclAmount'],
+      ...config
+    };
+
+    this.summaries = [];
+    this.selected = new Set();
+  }
+
+  /**
+   * Name, data row count and header check for every sheet
+   */
+  summarize(workbook) {
+    return workbook.SheetNames.map(name => {
+      const worksheet = workbook.Sheets[name];
+      const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false });
+      // Preview workbooks of large files only hold the first rows; !fullref spans the sheet
+      const fullRange = worksheet['!fullref'] ? XLSX.utils.decode_range(worksheet['!fullref']) : null;
+      const headers = (rows[0] || []).map(header => String(header === undefined ? '' : header).trim());
+      const hasRequiredColumns = this.config.requiredColumns.every(column => headers.includes(column));
+      const mapper = typeof window !== 'undefined' ? window.columnMapper : null;
+      const hasProfile = !hasRequiredColumns && !!(mapper && mapper.findProfile(headers));
+
+      return {
+        name,
+        rowCount: fullRange ? fullRange.e.r - fullRange.s.r : Math.max(rows.length - 1, 0),
+        recognised: hasRequiredColumns || hasProfile
+      };
+    });
+  }
+
+  /**
+   * Sheets that look like ledger data are pre-selected; if none do, the
+   * first sheet with rows is used, matching the single-sheet behaviour
+   */
+  defaultSelection(summaries) {
+    const recognised = summaries.filter(sheet => sheet.recognised && sheet.rowCount > 0);
+    if (recognised.length > 0) {
+      return recognised.map(sheet => sheet.name);
+    }
+    const firstWithRows = summaries.find(sheet => sheet.rowCount > 0);
+    return firstWithRows ? [firstWithRows.name] : summaries.slice(0, 1).map(sheet => sheet.name);
+  }
+
+  /**
+   * Render the selector for a workbook; hidden for single-sheet files
+   */
+  load(workbook) {
+    this.summaries = this.summarize(workbook);
+    this.selected = new Set(this.defaultSelection(this.summaries));
+    this.render();
+  }
+
+  reset() {
+    this.summaries = [];
+    this.selected = new Set();
+    this.render();
+  }
+
+  render() {
+    const container = document.getElementById(this.config.containerId);
+    if (!container) {
+      return;
+    }
+
+    if (this.summaries.length <= 1) {
+      container.innerHTML = '';
+      container.style.display = 'none';
+      return;
+    }
+
+    container.style.display = 'block';
+    container.innerHTML = `
+      <h3>Select Worksheets</h3>
+      <p>This workbook has ${this.summaries.length} sheets. Selected sheets are consolidated into one
+        calculation with per-sheet subtotals.</p>
+      <ul class="sheet-list">
+        ${this.summaries.map((sheet, index) => this.renderOption(sheet, index)).join('')}
+      </ul>
+    `;
+
+    container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const name = this.summaries[Number(checkbox.dataset.sheetIndex)].name;
+        if (checkbox.checked) {
+          this.selected.add(name);
+        } else {
+          this.selected.delete(name);
+        }
+      });
+    });
+  }
+
+  renderOption(sheet, index) {
+    const note = sheet.recognised ? '' : ' · headers not recognised';
+    return `
+      <li class="sheet-option">
+        <label>
+          <input type="checkbox" data-sheet-index="${index}" ${this.selected.has(sheet.name) ? 'checked' : ''}
+            ${sheet.rowCount === 0 ? 'disabled' : ''}>
+          <span class="sheet-name">${this.escapeHtml(sheet.name)}</span>
+          <span class="sheet-rows">${sheet.rowCount.toLocaleString()} rows${note}</span>
+        </label>
+      </li>
+    `;
+  }
+
+  /**
+   * Selected sheet names in workbook order
+   */
+  getSelectedSheets(workbook) {
+    if (this.summaries.length === 0) {
+      return workbook.SheetNames.slice(0, 1);
+    }
+    return workbook.SheetNames.filter(name => this.selected.has(name));
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SheetSelector;
+}
+
+if (typeof window !== 'undefined') {
+  window.sheetSelector = new SheetSelector();
+}
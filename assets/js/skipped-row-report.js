@@ -0,0 +1,161 @@
+/**
+ * Skipped Row Report for VAT Calculator Pro
+ * Collects rows that validation or calculation excluded from the VAT
+ * figures (with sheet, Excel row number, reason and raw values) and turns
+ * them into a summary and a downloadable "excluded rows" workbook
+ * Version: 1.0.0
+ */
+
+class SkippedRowReport {
+  constructor(config = {}) {
+    this.config = {
+      sheetName: config.sheetName || 'Excluded Rows',
+      ...config
+    };
+  }
+
+  /**
+   * Build one skipped-row entry. raw is the row as read from the sheet.
+   */
+  createEntry({ sheet, rowNumber, reason, code, raw }) {
+    const values = {};
+    Object.keys(raw || {}).forEach(key => {
+      values[key] = raw[key] instanceof Date ? raw[key].toISOString() : raw[key];
+    });
+
+    return {
+      sheet: sheet || '',
+      rowNumber: rowNumber || null,
+      code,
+      reason,
+      raw: values
+    };
+  }
+
+  /**
+   * Entries in workbook order: by sheet, then Excel row number
+   */
+  sortEntries(entries) {
+    return [...entries].sort((a, b) =>
+      a.sheet.localeCompare(b.sheet) || (a.rowNumber || 0) - (b.rowNumber || 0));
+  }
+
+  /**
+   * Amount as a number, or 0 when the raw value is missing or not numeric
+   */
+  toAmount(value) {
+    const number = Number(value);
+    return value === '' || value === null || value === undefined || isNaN(number) ? 0 : number;
+  }
+
+  createTotals() {
+    return { count: 0, excludedVAT: 0, excludedExcl: 0, byReason: {} };
+  }
+
+  addToTotals(totals, entry) {
+    const vat = this.toAmount(entry.raw.TaxAmount);
+    totals.count++;
+    totals.excludedVAT += vat;
+    totals.excludedExcl += this.toAmount(entry.raw.ExclAmount);
+
+    if (!totals.byReason[entry.code]) {
+      totals.byReason[entry.code] = { count: 0, excludedVAT: 0 };
+    }
+    totals.byReason[entry.code].count++;
+    totals.byReason[entry.code].excludedVAT += vat;
+  }
+
+  /**
+   * Remove the entries past limit, adding them to totals (createTotals) so
+   * summarize still covers them. Keeps memory bounded on very large files
+   */
+  truncate(entries, limit, totals) {
+    entries.splice(limit).forEach(entry => this.addToTotals(totals, entry));
+  }
+
+  /**
+   * Counts and excluded totals overall and per reason code, of entries and
+   * the totals of any entries truncated from them
+   */
+  summarize(entries, truncated = null) {
+    const summary = truncated ? JSON.parse(JSON.stringify(truncated)) : this.createTotals();
+    entries.forEach(entry => this.addToTotals(summary, entry));
+
+    summary.excludedVAT = parseFloat(summary.excludedVAT.toFixed(2));
+    summary.excludedExcl = parseFloat(summary.excludedExcl.toFixed(2));
+    Object.values(summary.byReason).forEach(reason => {
+      reason.excludedVAT = parseFloat(reason.excludedVAT.toFixed(2));
+    });
+
+    return summary;
+  }
+
+  /**
+   * Workbook with a summary sheet and one row per excluded row; the raw
+   * columns are the union of every skipped row's columns. summary is the
+   * calculation's, which also covers rows truncated from entries
+   */
+  toWorkbook(entries, sourceFile = '', summary = this.summarize(entries)) {
+    const summaryData = [
+      ['EXCLUDED ROWS'],
+      [`Source File: ${sourceFile}`],
+      [`Generated: ${new Date().toLocaleString()}`],
+      [''],
+      ['Reason', 'Rows', 'Excluded VAT (R)']
+    ];
+    Object.entries(summary.byReason).forEach(([code, totals]) => {
+      summaryData.push([SkippedRowReport.REASONS[code] || code, totals.count, totals.excludedVAT]);
+    });
+    summaryData.push(['Total', summary.count, summary.excludedVAT]);
+    if (entries.length < summary.count) {
+      summaryData.push(['']);
+      summaryData.push([`Only the first ${entries.length} of ${summary.count} rows are listed (large file).`]);
+    }
+
+    const rawColumns = [];
+    entries.forEach(entry => {
+      Object.keys(entry.raw).forEach(key => {
+        if (!rawColumns.includes(key)) {
+          rawColumns.push(key);
+        }
+      });
+    });
+
+    const rowData = [['Sheet', 'Row', 'Reason', ...rawColumns]];
+    entries.forEach(entry => {
+      rowData.push([
+        entry.sheet,
+        entry.rowNumber,
+        entry.reason,
+        ...rawColumns.map(column => (entry.raw[column] === undefined ? '' : entry.raw[column]))
+      ]);
+    });
+
+    const workbook = XLSX.utils.book_new();
+    const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
+    summarySheet['!cols'] = [{ wch: 40 }, { wch: 10 }, { wch: 18 }];
+    XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+    const rowSheet = XLSX.utils.aoa_to_sheet(rowData);
+    rowSheet['!cols'] = [{ wch: 20 }, { wch: 8 }, { wch: 45 }, ...rawColumns.map(() => ({ wch: 15 }))];
+    XLSX.utils.book_append_sheet(workbook, rowSheet, this.config.sheetName);
+
+    return workbook;
+  }
+}
+
+SkippedRowReport.REASONS = {
+  INVALID_TAX_CODE: 'Tax code not in the registry',
+  INVALID_NUMBER: 'Non-numeric rate or amount',
+  UNKNOWN_TR_CODE: 'Transaction code not in the registry',
+  DUPLICATE: 'Duplicate excluded at review'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SkippedRowReport;
+}
+
+if (typeof window !== 'undefined') {
+  window.skippedRowReport = new SkippedRowReport();
+}
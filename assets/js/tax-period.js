@@ -0,0 +1,371 @@
+/**
+ * VAT Tax Periods for VAT Calculator Pro
+ * Parses ledger TxDate values, assigns rows to SARS tax periods
+ * (monthly, bi-monthly category A/B, six-monthly) and separates rows
+ * dated outside the selected return period
+ * Version: 1.0.0
+ */
+
+class TaxPeriodManager {
+  constructor(config = {}) {
+    this.config = {
+      storageKey: config.storageKey || 'vatCalculatorTaxPeriod',
+      defaultCategory: config.defaultCategory || 'B',
+      // Number of past periods offered in the selector
+      listLength: config.listLength || 24,
+      ...config
+    };
+
+    this.selection = this.loadSelection();
+  }
+
+  /**
+   * SARS VAT categories: period length in months and the month (0 = Jan)
+   * that one of the periods ends in
+   */
+  static getCategories() {
+    return {
+      A: { label: 'Category A: bi-monthly (periods end Jan, Mar, May, Jul, Sep, Nov)', months: 2, endMonth: 0 },
+      B: { label: 'Category B: bi-monthly (periods end Feb, Apr, Jun, Aug, Oct, Dec)', months: 2, endMonth: 1 },
+      C: { label: 'Category C: monthly', months: 1, endMonth: 0 },
+      D: { label: 'Category D: six-monthly (periods end Feb and Aug)', months: 6, endMonth: 1 }
+    };
+  }
+
+  loadSelection() {
+    const defaults = { category: this.config.defaultCategory, period: '' };
+    try {
+      const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(this.config.storageKey) : null;
+      const selection = saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+      return TaxPeriodManager.getCategories()[selection.category] ? selection : defaults;
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  saveSelection() {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(this.selection));
+    }
+  }
+
+  // Date parsing
+
+  /**
+   * TxDate as a local Date, or '' when empty or unparseable. Handles Date
+   * cells, Excel serial numbers, "2025/02/01 00:00", ISO dates and
+   * DD/MM/YYYY (MM/DD/YYYY only when the day cannot be a month).
+   */
+  parseDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? '' : value;
+    }
+
+    // Excel serial date (days since 1899-12-30)
+    if (typeof value === 'number') {
+      return value > 25000 ? new Date(1899, 11, 30 + Math.floor(value)) : '';
+    }
+
+    return typeof value === 'string' ? this.parseDateString(value.trim()) : '';
+  }
+
+  parseDateString(text) {
+    if (text === '') {
+      return '';
+    }
+
+    const time = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.\\d+)?)?$';
+
+    const yearFirst = text.match(new RegExp(`^(\\d{4})[/-](\\d{1,2})[/-](\\d{1,2})${time}`));
+    if (yearFirst) {
+      return this.buildDate(yearFirst[1], yearFirst[2], yearFirst[3], yearFirst.slice(4));
+    }
+
+    const dayFirst = text.match(new RegExp(`^(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{4})${time}`));
+    if (dayFirst) {
+      const [first, second] = [Number(dayFirst[1]), Number(dayFirst[2])];
+      return second > 12 && first <= 12
+        ? this.buildDate(dayFirst[3], first, second, dayFirst.slice(4))
+        : this.buildDate(dayFirst[3], second, first, dayFirst.slice(4));
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? '' : parsed;
+  }
+
+  /**
+   * Local date from parts; '' when the day does not exist (e.g. 31/02)
+   */
+  buildDate(year, month, day, [hours, minutes, seconds] = []) {
+    const date = new Date(Number(year), Number(month) - 1, Number(day),
+      Number(hours) || 0, Number(minutes) || 0, Number(seconds) || 0);
+    return date.getMonth() === Number(month) - 1 && date.getDate() === Number(day) ? date : '';
+  }
+
+  // Periods
+
+  toMonthIndex(date) {
+    return date.getFullYear() * 12 + date.getMonth();
+  }
+
+  toMonthKey(monthIndex) {
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex - year * 12 + 1;
+    return `${year}-${String(month).padStart(2, '0')}`;
+  }
+
+  formatMonth(monthIndex) {
+    const year = Math.floor(monthIndex / 12);
+    return new Date(year, monthIndex - year * 12, 1).toLocaleDateString('en-ZA', { month: 'short', year: 'numeric' });
+  }
+
+  /**
+   * Period with the given last month index. key is the end month ("2025-02").
+   */
+  createPeriod(endIndex, category) {
+    const definition = TaxPeriodManager.getCategories()[category];
+    const startIndex = endIndex - definition.months + 1;
+    return {
+      category,
+      key: this.toMonthKey(endIndex),
+      startKey: this.toMonthKey(startIndex),
+      startIndex,
+      endIndex,
+      label: definition.months === 1
+        ? this.formatMonth(endIndex)
+        : `${this.formatMonth(startIndex)} – ${this.formatMonth(endIndex)}`
+    };
+  }
+
+  /**
+   * Tax period a date falls in for a category
+   */
+  getPeriod(date, category = this.selection.category) {
+    const definition = TaxPeriodManager.getCategories()[category];
+    if (!definition || !(date instanceof Date)) {
+      return null;
+    }
+    const monthIndex = this.toMonthIndex(date);
+    const offset = (((definition.endMonth - monthIndex) % definition.months) + definition.months) % definition.months;
+    return this.createPeriod(monthIndex + offset, category);
+  }
+
+  /**
+   * Period from its end-month key ("2025-02")
+   */
+  getPeriodByKey(key, category = this.selection.category) {
+    const match = String(key || '').match(/^(\d{4})-(\d{2})$/);
+    if (!match) {
+      return null;
+    }
+    return this.getPeriod(new Date(Number(match[1]), Number(match[2]) - 1, 1), category);
+  }
+
+  /**
+   * Most recent periods for a category, newest first
+   */
+  listPeriods(category = this.selection.category, fromDate = new Date(), count = this.config.listLength) {
+    const periods = [];
+    let period = this.getPeriod(fromDate, category);
+    while (period && periods.length < count) {
+      periods.push(period);
+      const previousMonth = period.startIndex - 1;
+      period = this.getPeriod(new Date(Math.floor(previousMonth / 12), previousMonth % 12, 1), category);
+    }
+    return periods;
+  }
+
+  /**
+   * Period containing the most dated rows, or null when no row is dated
+   */
+  detectPeriod(rows, category = this.selection.category) {
+    return this.pickPeriod(this.countPeriods(rows, category), category);
+  }
+
+  /**
+   * Dated rows per period key, added to counts so large files can be
+   * counted batch by batch
+   */
+  countPeriods(rows, category = this.selection.category, counts = {}) {
+    rows.forEach(row => {
+      const period = this.getPeriod(row.TxDate, category);
+      if (period) {
+        counts[period.key] = (counts[period.key] || 0) + 1;
+      }
+    });
+    return counts;
+  }
+
+  pickPeriod(counts, category = this.selection.category) {
+    const best = Object.entries(counts).sort((a, b) => b[1] - a[1] || b[0].localeCompare(a[0]))[0];
+    return best ? this.getPeriodByKey(best[0], category) : null;
+  }
+
+  /**
+   * Return period for a selection: '' means no filtering, 'auto' detects
+   * the period from the rows, anything else is an end-month key
+   */
+  resolvePeriod(selection, rows) {
+    if (!selection || !selection.period) {
+      return null;
+    }
+    return selection.period === 'auto'
+      ? this.detectPeriod(rows, selection.category)
+      : this.getPeriodByKey(selection.period, selection.category);
+  }
+
+  // Period check used by calculateVAT
+
+  createPeriodCheck(period) {
+    return {
+      period,
+      inPeriodCount: 0,
+      undatedCount: 0,
+      outOfPeriod: {
+        count: 0,
+        outputVAT: 0,
+        inputVAT: 0,
+        exclAmount: 0,
+        byPeriod: {},
+        rows: []
+      }
+    };
+  }
+
+  /**
+   * Record one row. Returns false when the row is dated outside the return
+   * period and must be left out of the totals. Undated rows stay in. Only
+   * the first rowLimit out-of-period rows are listed; all are counted.
+   */
+  recordRow(check, row, isInput, rowLimit = Infinity) {
+    if (!(row.TxDate instanceof Date)) {
+      check.undatedCount++;
+      check.inPeriodCount++;
+      return true;
+    }
+
+    const monthIndex = this.toMonthIndex(row.TxDate);
+    if (monthIndex >= check.period.startIndex && monthIndex <= check.period.endIndex) {
+      check.inPeriodCount++;
+      return true;
+    }
+
+    this.addOutOfPeriod(check, row, isInput, rowLimit);
+    return false;
+  }
+
+  addOutOfPeriod(check, row, isInput, rowLimit = Infinity) {
+    const rowPeriod = this.getPeriod(row.TxDate, check.period.category);
+    const outOfPeriod = check.outOfPeriod;
+    const taxAmount = Number(row.TaxAmount) || 0;
+    const exclAmount = Number(row.ExclAmount) || 0;
+    outOfPeriod.count++;
+    outOfPeriod.exclAmount += exclAmount;
+    outOfPeriod[isInput ? 'inputVAT' : 'outputVAT'] += taxAmount;
+
+    if (!outOfPeriod.byPeriod[rowPeriod.key]) {
+      outOfPeriod.byPeriod[rowPeriod.key] = { label: rowPeriod.label, count: 0, outputVAT: 0, inputVAT: 0 };
+    }
+    const periodTotals = outOfPeriod.byPeriod[rowPeriod.key];
+    periodTotals.count++;
+    periodTotals[isInput ? 'inputVAT' : 'outputVAT'] += taxAmount;
+
+    if (outOfPeriod.rows.length >= rowLimit) {
+      return;
+    }
+    outOfPeriod.rows.push({
+      rowNumber: row.SourceRow,
+      sheet: row.SourceSheet || '',
+      TxDate: row.TxDate,
+      taxPeriod: rowPeriod.key,
+      direction: isInput ? 'input' : 'output',
+      TrCode: row.TrCode,
+      TaxCode: row.TaxCode,
+      Reference: row.Reference || '',
+      TaxAmount: taxAmount,
+      ExclAmount: exclAmount
+    });
+  }
+
+  finalizePeriodCheck(check) {
+    const round = value => parseFloat(value.toFixed(2));
+    const outOfPeriod = check.outOfPeriod;
+    outOfPeriod.outputVAT = round(outOfPeriod.outputVAT);
+    outOfPeriod.inputVAT = round(outOfPeriod.inputVAT);
+    outOfPeriod.exclAmount = round(outOfPeriod.exclAmount);
+    outOfPeriod.vatPayable = round(outOfPeriod.outputVAT - outOfPeriod.inputVAT);
+    Object.values(outOfPeriod.byPeriod).forEach(totals => {
+      totals.outputVAT = round(totals.outputVAT);
+      totals.inputVAT = round(totals.inputVAT);
+    });
+    return check;
+  }
+
+  // Upload page selector
+
+  renderSelector() {
+    const categorySelect = document.getElementById('vat-category');
+    const periodSelect = document.getElementById('vat-period');
+    if (!categorySelect || !periodSelect) {
+      return;
+    }
+
+    const categories = TaxPeriodManager.getCategories();
+    categorySelect.innerHTML = Object.entries(categories)
+      .map(([code, definition]) => `<option value="${code}">${definition.label}</option>`)
+      .join('');
+    categorySelect.value = this.selection.category;
+
+    const periods = this.listPeriods(this.selection.category);
+    if (this.selection.period && this.selection.period !== 'auto' &&
+        !periods.some(period => period.key === this.selection.period)) {
+      const saved = this.getPeriodByKey(this.selection.period);
+      if (saved) {
+        periods.push(saved);
+      }
+    }
+
+    periodSelect.innerHTML = `
+      <option value="">All dates (no period filter)</option>
+      <option value="auto">Detect from file (period with the most rows)</option>
+      ${periods.map(period => `<option value="${period.key}">${period.label}</option>`).join('')}
+    `;
+    periodSelect.value = this.selection.period;
+  }
+
+  /**
+   * Change handler for the category and period selects
+   */
+  updateSelection() {
+    const categorySelect = document.getElementById('vat-category');
+    const periodSelect = document.getElementById('vat-period');
+    if (!categorySelect || !periodSelect) {
+      return;
+    }
+
+    const category = categorySelect.value;
+    let period = periodSelect.value;
+    if (category !== this.selection.category && period && period !== 'auto') {
+      // Keep the period containing the previously selected end month
+      const previous = this.getPeriodByKey(period, this.selection.category);
+      period = previous ? this.getPeriodByKey(previous.key, category).key : '';
+    }
+
+    this.selection = { category, period };
+    this.saveSelection();
+    this.renderSelector();
+  }
+
+  getSelection() {
+    return { ...this.selection };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaxPeriodManager;
+}
+
+if (typeof window !== 'undefined') {
+  window.taxPeriods = new TaxPeriodManager();
+}
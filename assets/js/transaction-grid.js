@@ -0,0 +1,294 @@
+/**
+ * Transaction Grid for VAT Calculator Pro
+ * Drill-down from a figure on the results page to every row behind it:
+ * a virtualised grid (PerformanceManager.createVirtualScrollList) that
+ * sorts by any column, filters by TrCode, searches Reference and
+ * description, and exports the filtered rows to Excel.
+ * Version: 1.0.0
+ */
+
+class TransactionGrid {
+  constructor(config = {}) {
+    this.config = {
+      rowHeight: config.rowHeight || 36,
+      searchDelay: config.searchDelay || 150,
+      ...config
+    };
+
+    this.rows = [];
+    // Filtered and sorted rows; the virtual list renders from this array, so it is updated in place
+    this.view = [];
+    this.total = 0;
+    this.title = '';
+    this.sort = { key: null, descending: false };
+    this.list = null;
+    this.modal = null;
+  }
+
+  static getColumns() {
+    return [
+      { key: 'TxDate', label: 'Date' },
+      { key: 'Reference', label: 'Reference' },
+      { key: 'TaxDescription', label: 'Description' },
+      { key: 'TrCode', label: 'TrCode' },
+      { key: 'SourceSheet', label: 'Sheet' },
+      { key: 'ExclAmount', label: 'Excl Amount', amount: true },
+      { key: 'TaxAmount', label: 'VAT Amount', amount: true },
+      { key: 'InclAmount', label: 'Incl Amount', amount: true }
+    ];
+  }
+
+  /**
+   * Show rows (transaction objects as in taxCodeBreakdown) in the grid.
+   * total is the row count of the figure; when fewer rows were kept
+   * (streamed files) the grid says so. sortKey sorts largest first.
+   */
+  open({ title, rows, total = rows.length, sortKey = null }) {
+    this.title = title;
+    this.rows = rows;
+    this.total = total;
+    this.sort = { key: sortKey, descending: Boolean(sortKey) };
+
+    const modal = this.getModal();
+    modal.querySelector('#transaction-grid-title').textContent = title;
+    modal.querySelector('#transaction-grid-search').value = '';
+
+    const trCodes = [...new Set(rows.map(row => this.escapeHtml(row.TrCode)))].sort();
+    modal.querySelector('#transaction-grid-trcode').innerHTML = `
+      <option value="">All TrCodes</option>
+      ${trCodes.map(trCode => `<option value="${trCode}">${trCode}</option>`).join('')}
+    `;
+    modal.querySelector('#transaction-grid-note').textContent = rows.length < total
+      ? `Only the first ${rows.length.toLocaleString()} of ${total.toLocaleString()} rows were kept for this ` +
+        'streamed file; the figure covers all of them.'
+      : '';
+
+    modal.classList.add('show');
+    this.createList(modal);
+    this.applyView();
+    modal.querySelector('#transaction-grid-search').focus();
+  }
+
+  close() {
+    if (this.modal) {
+      this.modal.classList.remove('show');
+    }
+    this.rows = [];
+    this.view.length = 0;
+    this.list = null;
+  }
+
+  getModal() {
+    if (this.modal) {
+      return this.modal;
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'transaction-grid-modal';
+    modal.innerHTML = `
+      <div class="transaction-grid-dialog" role="dialog" aria-modal="true" aria-labelledby="transaction-grid-title">
+        <div class="transaction-grid-header">
+          <h3 id="transaction-grid-title"></h3>
+          <button type="button" class="transaction-grid-close" aria-label="Close">×</button>
+        </div>
+        <div class="transaction-grid-toolbar">
+          <input type="search" id="transaction-grid-search" placeholder="Search Reference or description...">
+          <select id="transaction-grid-trcode"></select>
+          <span id="transaction-grid-count" class="transaction-grid-count"></span>
+          <button type="button" class="btn btn-small" id="transaction-grid-export">📥 Export rows</button>
+        </div>
+        <p id="transaction-grid-note" class="transaction-grid-note"></p>
+        <div class="transaction-grid-table">
+          <div class="transaction-grid-row transaction-grid-head">
+            ${TransactionGrid.getColumns().map(column => `
+              <button type="button" data-key="${column.key}" class="${column.amount ? 'amount' : ''}">
+                ${column.label}
+              </button>
+            `).join('')}
+          </div>
+          <div class="transaction-grid-body"></div>
+        </div>
+      </div>
+    `;
+
+    const search = () => this.applyView();
+    const debounce = window.performanceManager ? window.performanceManager.debounce : null;
+    modal.querySelector('#transaction-grid-search')
+      .addEventListener('input', debounce ? debounce(search, this.config.searchDelay) : search);
+    modal.querySelector('#transaction-grid-trcode').addEventListener('change', search);
+    modal.querySelector('#transaction-grid-export').addEventListener('click', () => this.exportView());
+    modal.querySelector('.transaction-grid-close').addEventListener('click', () => this.close());
+    modal.querySelectorAll('.transaction-grid-head button').forEach(button => {
+      button.addEventListener('click', () => this.toggleSort(button.dataset.key));
+    });
+    modal.addEventListener('click', e => {
+      if (e.target === modal) {
+        this.close();
+      }
+    });
+    document.addEventListener('keydown', e => {
+      if (e.key === 'Escape' && modal.classList.contains('show')) {
+        this.close();
+      }
+    });
+
+    document.body.appendChild(modal);
+    this.modal = modal;
+    return modal;
+  }
+
+  /**
+   * Fresh scroll container and virtual list for each opening, so no
+   * scroll listener outlives the rows it was created for
+   */
+  createList(modal) {
+    const oldBody = modal.querySelector('.transaction-grid-body');
+    const body = oldBody.cloneNode(false);
+    oldBody.replaceWith(body);
+
+    const renderRow = row => this.renderRow(row);
+    if (window.performanceManager) {
+      this.list = window.performanceManager.createVirtualScrollList(body, this.view, renderRow, this.config.rowHeight);
+    } else {
+      // Without the performance manager every row is rendered
+      this.list = {
+        render: () => {
+          body.innerHTML = this.view.map(renderRow).join('');
+        }
+      };
+    }
+    this.body = body;
+  }
+
+  // View
+
+  applyView() {
+    const modal = this.getModal();
+    const term = modal.querySelector('#transaction-grid-search').value.trim().toLowerCase();
+    const trCode = modal.querySelector('#transaction-grid-trcode').value;
+
+    this.view.length = 0;
+    this.rows.forEach(row => {
+      if (trCode && String(row.TrCode) !== trCode) {
+        return;
+      }
+      if (term && !`${row.Reference || ''} ${row.TaxDescription || ''}`.toLowerCase().includes(term)) {
+        return;
+      }
+      this.view.push(row);
+    });
+
+    if (this.sort.key) {
+      const { key, descending } = this.sort;
+      this.view.sort((a, b) => this.compareValues(a[key], b[key]) * (descending ? -1 : 1));
+    }
+
+    modal.querySelectorAll('.transaction-grid-head button').forEach(button => {
+      const column = TransactionGrid.getColumns().find(c => c.key === button.dataset.key);
+      const arrow = button.dataset.key === this.sort.key ? (this.sort.descending ? ' ▼' : ' ▲') : '';
+      button.textContent = column.label + arrow;
+      button.setAttribute('aria-sort', arrow ? (this.sort.descending ? 'descending' : 'ascending') : 'none');
+    });
+
+    const vatAmount = this.view.reduce((sum, row) => sum + (Number(row.TaxAmount) || 0), 0);
+    const count = `${this.view.length.toLocaleString()} of ${this.rows.length.toLocaleString()} rows`;
+    modal.querySelector('#transaction-grid-count').textContent = `${count} · VAT ${this.formatAmount(vatAmount)}`;
+
+    if (this.list) {
+      this.body.scrollTop = 0;
+      this.list.scrollTop = 0;
+      this.list.render();
+    }
+  }
+
+  /**
+   * Sort by key; a second click on the same column reverses the order
+   */
+  toggleSort(key) {
+    const column = TransactionGrid.getColumns().find(c => c.key === key);
+    this.sort = this.sort.key === key
+      ? { key, descending: !this.sort.descending }
+      : { key, descending: Boolean(column && column.amount) };
+    this.applyView();
+  }
+
+  compareValues(a, b) {
+    const empty = value => value === undefined || value === null || value === '';
+    if (empty(a) || empty(b)) {
+      return empty(a) - empty(b);
+    }
+    if (a instanceof Date || b instanceof Date) {
+      return new Date(a) - new Date(b);
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+      return a - b;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+  }
+
+  renderRow(row) {
+    const cells = TransactionGrid.getColumns().map(column => {
+      const value = column.amount ? this.formatAmount(row[column.key]) : this.formatValue(row[column.key]);
+      return `<span class="${column.amount ? 'amount' : ''}" title="${value}">${value}</span>`;
+    });
+    return `<div class="transaction-grid-row">${cells.join('')}</div>`;
+  }
+
+  formatValue(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toLocaleDateString('en-ZA');
+    }
+    return this.escapeHtml(value);
+  }
+
+  formatAmount(value) {
+    const amount = Number(value) || 0;
+    return `${amount < 0 ? '-' : ''}R ${Math.abs(amount).toLocaleString('en-ZA', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Export
+
+  /**
+   * Filtered rows, in the order shown, to an Excel workbook (XLSX from the page)
+   */
+  exportView() {
+    const columns = TransactionGrid.getColumns();
+    const data = [
+      columns.map(column => column.label),
+      ...this.view.map(row => columns.map(column => {
+        const value = row[column.key];
+        return value === undefined || value === null ? '' : value;
+      }))
+    ];
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    ws['!cols'] = columns.map(column => ({ wch: column.key === 'TaxDescription' ? 40 : 15 }));
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Transactions');
+    const name = this.title.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '');
+    XLSX.writeFile(wb, `VAT_Transactions_${name}_${new Date().toISOString().split('T')[0]}.xlsx`);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TransactionGrid;
+}
+
+if (typeof window !== 'undefined') {
+  window.transactionGrid = new TransactionGrid();
+}
@@ -0,0 +1,919 @@
+/**
+ * Headless VAT Engine for VAT Calculator Pro
+ * DOM-free pipeline: read workbook bytes → validate rows → calculate the
+ * result object. Used by the browser pages (window.vatEngine) and from
+ * Node via require() or import, where the registry, reconciler and other
+ * helpers are loaded from this folder and xlsx from node_modules
+ * Version: 1.0.0
+ */
+
+class VatEngine {
+  /**
+   * Every dependency can be injected through config; otherwise the
+   * window instance (browser) or a fresh instance (Node) is used
+   */
+  constructor(config = {}) {
+    this.config = {
+      requiredColumns: config.requiredColumns ||
+        ['TaxCode', 'TaxDescription', 'TrCode', 'TaxRate', 'TaxAmount', 'ExclAmount', 'InclAmount'],
+      // Rows between onProgress calls
+      progressInterval: config.progressInterval || 1000,
+      // Large files (runStream): rows converted per batch, rows kept for row-level detail
+      streamBatchSize: config.streamBatchSize || 5000,
+      streamRowLimit: config.streamRowLimit || 100000,
+      // Rows per sheet (and bytes of CSV) read for readPreview
+      previewRows: config.previewRows || 200,
+      previewBytes: config.previewBytes || 256 * 1024,
+      // Counterparties listed by name; rows of any beyond this are pooled
+      counterpartyLimit: config.counterpartyLimit || 1000,
+      ...config
+    };
+  }
+
+  // Dependencies
+
+  resolve(name, globalName, path) {
+    if (this.config[name]) {
+      return this.config[name];
+    }
+    if (typeof window !== 'undefined' && window[globalName]) {
+      return window[globalName];
+    }
+    if (typeof require === 'function') {
+      const Module = require(path);
+      this.config[name] = new Module();
+      return this.config[name];
+    }
+    throw new Error(`VAT engine dependency "${globalName}" is not loaded.`);
+  }
+
+  get registry() {
+    return this.resolve('registry', 'taxCodeRegistry', './tax-code-registry.js');
+  }
+
+  get reconciler() {
+    return this.resolve('reconciler', 'vatReconciler', './vat-reconciler.js');
+  }
+
+  get skippedRowReport() {
+    return this.resolve('skippedRowReport', 'skippedRowReport', './skipped-row-report.js');
+  }
+
+  get taxPeriods() {
+    return this.resolve('taxPeriods', 'taxPeriods', './tax-period.js');
+  }
+
+  get entityGrouper() {
+    return this.resolve('entityGrouper', 'entityGrouper', './entity-grouper.js');
+  }
+
+  get counterpartyParser() {
+    return this.resolve('counterpartyParser', 'counterpartyParser', './counterparty-parser.js');
+  }
+
+  get manualAdjustments() {
+    return this.resolve('manualAdjustments', 'manualAdjustments', './manual-adjustments.js');
+  }
+
+  get csvParser() {
+    return this.resolve('csvParser', 'csvParser', './csv-parser.js');
+  }
+
+  get columnMapper() {
+    return this.resolve('columnMapper', 'columnMapper', './column-mapper.js');
+  }
+
+  get xlsx() {
+    if (this.config.XLSX) {
+      return this.config.XLSX;
+    }
+    if (typeof XLSX !== 'undefined') {
+      return XLSX;
+    }
+    this.config.XLSX = require('xlsx');
+    return this.config.XLSX;
+  }
+
+  /**
+   * Call onProgress(stage, done, total) every progressInterval rows and on the last row
+   */
+  reportProgress(onProgress, stage, done, total) {
+    if (onProgress && (done % this.config.progressInterval === 0 || done === total)) {
+      onProgress(stage, done, total);
+    }
+  }
+
+  // Reading
+
+  /**
+   * Workbook from file bytes (Buffer, ArrayBuffer or Uint8Array). CSV and
+   * TSV files, recognised by filename, become a one-sheet workbook.
+   * readOptions are passed on to XLSX.read for Excel files.
+   */
+  readWorkbook(data, filename = '', readOptions = {}) {
+    if (this.csvParser.isDelimitedFile({ name: filename })) {
+      try {
+        return this.csvParser.toWorkbook(this.csvParser.parseBuffer(data), this.csvParser.getSheetName(filename));
+      } catch (error) {
+        throw new Error(`Failed to read CSV file: ${error.message}`);
+      }
+    }
+
+    try {
+      const isBuffer = typeof Buffer !== 'undefined' && Buffer.isBuffer(data);
+      return this.xlsx.read(data, { type: isBuffer ? 'buffer' : 'array', ...readOptions });
+    } catch (error) {
+      throw new Error('Failed to read Excel file. Please ensure it\'s a valid Excel file.');
+    }
+  }
+
+  // Validation
+
+  /**
+   * Validated rows from the selected sheets (first sheet by default).
+   * options: sheetNames, skippedRows (filled with rejected rows),
+   * entityColumn (tags row.Entity), periodCategory (for row.TaxPeriod),
+   * onProgress (see reportProgress)
+   */
+  validate(workbook, options = {}) {
+    const validatedData = this.validateRows(this.readRows(workbook, options.sheetNames), options);
+
+    if (validatedData.length === 0) {
+      throw new Error('No valid data rows found in the Excel file.');
+    }
+
+    return validatedData;
+  }
+
+  /**
+   * Validated rows for raw rows (readRows output), options as validate
+   */
+  validateRows(rawRows, options = {}) {
+    const skippedRows = options.skippedRows || [];
+    return rawRows.map(({ row, sheetName, rowNum }, index) => {
+      this.reportProgress(options.onProgress, 'validate', index + 1, rawRows.length);
+      const problem = this.getRowProblem(row);
+      if (problem) {
+        const entry = { sheet: sheetName, rowNumber: rowNum, raw: row, ...problem };
+        skippedRows.push(this.skippedRowReport.createEntry(entry));
+        return null;
+      }
+      return this.normalizeRow(row, sheetName, rowNum, options);
+    }).filter(row => row !== null);
+  }
+
+  /**
+   * Raw rows with sheet name and Excel row number, after the header check
+   */
+  readRows(workbook, sheetNames) {
+    // Default to the first worksheet; multi-sheet selections are consolidated
+    const selectedSheets = sheetNames && sheetNames.length > 0 ? sheetNames : workbook.SheetNames.slice(0, 1);
+    if (selectedSheets.length === 0) {
+      throw new Error('No worksheets found in the Excel file.');
+    }
+
+    const data = [];
+    selectedSheets.forEach(sheetName => {
+      const worksheet = workbook.Sheets[sheetName];
+      const sheetData = worksheet ? this.xlsx.utils.sheet_to_json(worksheet) : [];
+      if (sheetData.length === 0) {
+        return;
+      }
+
+      this.checkColumns(Object.keys(sheetData[0]), sheetName, selectedSheets.length > 1);
+
+      sheetData.forEach((row, index) => {
+        // Excel row number (accounting for header and any blank rows sheet_to_json dropped)
+        const rowNum = row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2;
+        data.push({ row, sheetName, rowNum });
+      });
+    });
+
+    if (data.length === 0) {
+      throw new Error('The Excel file appears to be empty.');
+    }
+    return data;
+  }
+
+  checkColumns(columns, sheetName, multipleSheets) {
+    const missingColumns = this.config.requiredColumns.filter(col => !columns.includes(col));
+    if (missingColumns.length > 0) {
+      const sheetLabel = multipleSheets ? ` in sheet "${sheetName}"` : '';
+      throw new Error(`Missing required columns${sheetLabel}: ${missingColumns.join(', ')}`);
+    }
+  }
+
+  /**
+   * Skip reason for a raw row, or null when it is usable
+   */
+  getRowProblem(row) {
+    if (!this.registry.isValidTaxCode(row.TaxCode)) {
+      return { code: 'INVALID_TAX_CODE', reason: `Invalid TaxCode "${row.TaxCode === undefined ? '' : row.TaxCode}"` };
+    }
+
+    const numericFields = ['TaxRate', 'TaxAmount', 'ExclAmount', 'InclAmount'];
+    const invalidField = numericFields.find(field => isNaN(Number(row[field])));
+    return invalidField ? { code: 'INVALID_NUMBER', reason: `Invalid ${invalidField} "${row[invalidField]}"` } : null;
+  }
+
+  /**
+   * Typed row with the additional ledger columns kept for export
+   */
+  normalizeRow(row, sheetName, rowNum, options = {}) {
+    const amount = value => parseFloat((Number(value) || 0).toFixed(2));
+    const pick = column => VatEngine.COLUMN_ALIASES[column].map(name => row[name]).find(value => value) || '';
+    const txDate = this.taxPeriods.parseDate(pick('TxDate'));
+    const category = options.periodCategory || this.taxPeriods.getSelection().category;
+    const taxPeriod = this.taxPeriods.getPeriod(txDate, category);
+
+    return {
+      TaxCode: String(row.TaxCode),
+      TaxDescription: String(row.TaxDescription || ''),
+      TrCode: String(row.TrCode || '').toUpperCase(),
+      TaxRate: Number(row.TaxRate) || 0,
+      // Monetary amounts are rounded to 2 decimal places at source
+      TaxAmount: amount(row.TaxAmount),
+      ExclAmount: amount(row.ExclAmount),
+      InclAmount: amount(row.InclAmount),
+      TxDate: txDate,
+      Reference: pick('Reference'),
+      TmDescription: pick('TmDescription'),
+      TaxType: pick('TaxType'),
+      Reference2: pick('Reference2'),
+      Order_No: pick('Order_No'),
+      cAuditNumber: pick('cAuditNumber'),
+      DTStamp: pick('DTStamp'),
+      Counterparty: pick('Counterparty'),
+      Entity: options.entityColumn ? this.entityGrouper.getEntity(row, options.entityColumn) : '',
+      SourceSheet: sheetName,
+      SourceRow: rowNum,
+      // Tax period (end month) under the VAT category
+      TaxPeriod: taxPeriod ? taxPeriod.key : ''
+    };
+  }
+
+  // Calculation
+
+  /**
+   * Result object for validated rows. options: skippedRows (from
+   * validate), period (return period from taxPeriods), groupBy (entity column),
+   * adjustments (manual lines, see manual-adjustments.js), onProgress (see
+   * reportProgress)
+   */
+  calculate(data, options = {}) {
+    const calculation = this.beginCalculation(options);
+    data.forEach((row, index) => {
+      this.reportProgress(options.onProgress, 'calculate', index + 1, data.length);
+      this.addCalculationRow(calculation, row);
+    });
+    return this.finishCalculation(calculation);
+  }
+
+  /**
+   * Running calculation that validated rows are added to one at a time,
+   * so large files never need all their rows in memory. options as
+   * calculate, plus rowLimit: entries kept in each row-level list
+   * (transactions, tax code transactions, skipped and out-of-period rows,
+   * rate mismatches, reconciliation exceptions); counts and totals always
+   * cover every row.
+   */
+  beginCalculation(options = {}) {
+    const registry = this.registry;
+    const rowLimit = options.rowLimit !== undefined ? options.rowLimit : Infinity;
+    return {
+      options,
+      registry,
+      results: this.createResults(registry, options),
+      // Rows already excluded by validate; unknown TrCodes are added as rows arrive
+      skippedRows: options.skippedRows ? [...options.skippedRows] : [],
+      // Skipped rows past rowLimit, as totals only (see capSkippedRows)
+      skippedTotals: this.skippedRowReport.createTotals(),
+      reconciliation: this.reconciler.createReconciliation({ rowLimit }),
+      entities: options.groupBy ? new Map() : null,
+      rows: [],
+      rowCount: 0,
+      rowLimit,
+      keepRows: options.keepRows !== false
+    };
+  }
+
+  addCalculationRow(calculation, row) {
+    const { results, registry } = calculation;
+    calculation.rowCount++;
+    const keepDetail = calculation.rowCount <= calculation.rowLimit;
+    if (keepDetail && calculation.keepRows) {
+      calculation.rows.push(row);
+    }
+
+    // Recompute VAT and incl totals per row; mismatches become the exceptions list
+    this.reconciler.addRow(calculation.reconciliation, row, calculation.rowCount - 1);
+
+    // Per-entity results (e.g. by Company) next to the consolidated figures
+    if (calculation.entities) {
+      this.addEntityRow(calculation, row);
+    }
+
+    // Determine if this is INPUT or OUTPUT
+    const direction = registry.getDirection(row.TrCode);
+    if (direction !== 'input' && direction !== 'output') {
+      const { SourceSheet, SourceRow, ...raw } = row;
+      calculation.skippedRows.push(this.skippedRowReport.createEntry({
+        sheet: SourceSheet,
+        rowNumber: SourceRow,
+        code: 'UNKNOWN_TR_CODE',
+        reason: `Unknown TrCode "${row.TrCode}"`,
+        raw
+      }));
+      this.capSkippedRows(calculation);
+      return;
+    }
+
+    const isInput = direction === 'input';
+
+    // Rows dated outside the return period are reported separately, not totalled
+    if (results.periodCheck && !this.taxPeriods.recordRow(results.periodCheck, row, isInput, calculation.rowLimit)) {
+      return;
+    }
+
+    // Check TaxRate against the rate in force on TxDate
+    this.checkRowRate(results.rateCheck, row, isInput, registry, calculation.rowLimit);
+    this.addRow(results, row, isInput, registry, keepDetail);
+  }
+
+  /**
+   * Keep the first rowLimit skipped rows listed; later ones only count
+   * towards the skipped-row summary
+   */
+  capSkippedRows(calculation) {
+    if (calculation.skippedRows.length > calculation.rowLimit) {
+      this.skippedRowReport.truncate(calculation.skippedRows, calculation.rowLimit, calculation.skippedTotals);
+    }
+  }
+
+  addEntityRow(calculation, row) {
+    const name = this.entityGrouper.getGroupName(row);
+    if (!calculation.entities.has(name)) {
+      // The consolidated result already keeps every row
+      calculation.entities.set(name, this.beginCalculation({
+        period: calculation.options.period,
+        rowLimit: calculation.rowLimit,
+        keepRows: false
+      }));
+    }
+    this.addCalculationRow(calculation.entities.get(name), row);
+  }
+
+  finishCalculation(calculation) {
+    const { results, registry } = calculation;
+    this.finalizeResults(results, registry);
+    // Manual lines change the totals only; the consolidated result has them, entities do not
+    results.adjustments = this.manualAdjustments.apply(results, calculation.options.adjustments, registry);
+    results.reconciliation = this.reconciler.finishReconciliation(calculation.reconciliation);
+
+    // Every row left out of the VAT figures, with reason and raw values
+    results.skippedRows = {
+      summary: this.skippedRowReport.summarize(calculation.skippedRows, calculation.skippedTotals),
+      rows: this.skippedRowReport.sortEntries(calculation.skippedRows)
+    };
+
+    results.entities = null;
+    if (calculation.entities) {
+      const byEntity = {};
+      calculation.entities.forEach((entity, name) => {
+        const entityResults = this.finishCalculation(entity);
+        delete entityResults.transactions;
+        byEntity[name] = entityResults;
+      });
+      results.entities = { column: calculation.options.groupBy, names: [...calculation.entities.keys()], byEntity };
+    }
+
+    // Original transactions for export (exactly as imported); fewer than
+    // transactionCount when rowLimit was reached
+    results.transactions = calculation.rows;
+    results.transactionCount = calculation.rowCount;
+    return results;
+  }
+
+  createResults(registry, options) {
+    const results = {
+      totalInputVAT: 0,
+      totalOutputVAT: 0,
+      salesExcludingVAT: 0,
+      salesIncludingVAT: 0,
+      zeroRatedSales: 0,
+      taxCodeBreakdown: {},
+      // Totals per TrCode, e.g. for comparing periods
+      trCodeBreakdown: {},
+      // Totals per counterparty (see counterparty-parser.js) and per TxDate month
+      counterpartyBreakdown: {},
+      monthBreakdown: {},
+      sheetSubtotals: {},
+      rateCheck: {
+        periods: {},
+        rateChanges: [],
+        straddlesRateChange: false,
+        // Every mismatch is counted; the first rowLimit are listed
+        mismatchCount: 0,
+        mismatches: [],
+        undatedCount: 0
+      },
+      // Only set when a return period was selected
+      periodCheck: options.period ? this.taxPeriods.createPeriodCheck(options.period) : null
+    };
+
+    // capital: totals of the rows flagged as capital goods, by tax code or TrCode
+    const emptySide = () => ({
+      count: 0,
+      vatAmount: 0,
+      exclAmount: 0,
+      capital: { count: 0, vatAmount: 0, exclAmount: 0 },
+      transactions: [],
+      sheets: {}
+    });
+    for (const [code, info] of Object.entries(registry.getTaxCodes())) {
+      results.taxCodeBreakdown[code] = {
+        description: info.description,
+        rate: info.rate,
+        category: info.category,
+        capitalGoods: info.capitalGoods,
+        input: emptySide(),
+        output: emptySide()
+      };
+    }
+    return results;
+  }
+
+  /**
+   * Add one row to its tax code breakdown, sheet subtotal and the totals
+   */
+  addRow(results, row, isInput, registry, keepDetail = true) {
+    const { TaxAmount: taxAmount, ExclAmount: exclAmount } = row;
+    const breakdown = results.taxCodeBreakdown[row.TaxCode][isInput ? 'input' : 'output'];
+    breakdown.count++;
+    breakdown.vatAmount += taxAmount;
+    breakdown.exclAmount += exclAmount;
+
+    // Counted here for VAT201 fields 1A, 4A and 14, as the transactions kept stop at rowLimit
+    if (registry.isCapitalGoods(row.TaxCode, row.TrCode)) {
+      breakdown.capital.count++;
+      breakdown.capital.vatAmount += taxAmount;
+      breakdown.capital.exclAmount += exclAmount;
+    }
+
+    // Per-sheet subtotals for consolidated workbooks
+    const sheetName = row.SourceSheet || 'Sheet1';
+    if (!breakdown.sheets[sheetName]) {
+      breakdown.sheets[sheetName] = { count: 0, vatAmount: 0, exclAmount: 0 };
+    }
+    breakdown.sheets[sheetName].count++;
+    breakdown.sheets[sheetName].vatAmount += taxAmount;
+    breakdown.sheets[sheetName].exclAmount += exclAmount;
+
+    if (!results.trCodeBreakdown[row.TrCode]) {
+      results.trCodeBreakdown[row.TrCode] = {
+        direction: isInput ? 'input' : 'output', count: 0, vatAmount: 0, exclAmount: 0
+      };
+    }
+    const trCodeTotals = results.trCodeBreakdown[row.TrCode];
+    trCodeTotals.count++;
+    trCodeTotals.vatAmount += taxAmount;
+    trCodeTotals.exclAmount += exclAmount;
+
+    this.addCounterpartyRow(results.counterpartyBreakdown, row, isInput);
+    this.addMonthRow(results.monthBreakdown, row, isInput);
+
+    if (!results.sheetSubtotals[sheetName]) {
+      results.sheetSubtotals[sheetName] = {
+        count: 0, totalInputVAT: 0, totalOutputVAT: 0, salesExcludingVAT: 0, zeroRatedSales: 0, vatPayable: 0
+      };
+    }
+    const sheetTotals = results.sheetSubtotals[sheetName];
+    sheetTotals.count++;
+
+    // Transactions are kept for detailed reporting (up to rowLimit, see beginCalculation)
+    if (keepDetail) {
+      breakdown.transactions.push({
+        TrCode: row.TrCode,
+        TaxAmount: taxAmount,
+        ExclAmount: exclAmount,
+        InclAmount: row.InclAmount,
+        TaxDescription: row.TaxDescription,
+        TxDate: row.TxDate,
+        Reference: row.Reference,
+        SourceSheet: sheetName
+      });
+    }
+
+    [results, sheetTotals].forEach(totals => {
+      if (isInput) {
+        totals.totalInputVAT += taxAmount;
+        return;
+      }
+      totals.totalOutputVAT += taxAmount;
+      totals.salesExcludingVAT += exclAmount;
+      // Zero-rated sales (registry category 'zero', Tax Code 3 by default)
+      if (registry.getCategory(row.TaxCode) === 'zero') {
+        totals.zeroRatedSales += exclAmount;
+      }
+    });
+  }
+
+  /**
+   * Add a row to one entry of a breakdown by counterparty or month
+   */
+  addDimensionRow(breakdown, key, name, row, isInput) {
+    if (!breakdown[key]) {
+      breakdown[key] = { name, count: 0, outputVAT: 0, inputVAT: 0, exclAmount: 0 };
+    }
+    const totals = breakdown[key];
+    totals.count++;
+    totals[isInput ? 'inputVAT' : 'outputVAT'] += row.TaxAmount;
+    totals.exclAmount += row.ExclAmount;
+  }
+
+  /**
+   * Once counterpartyLimit names are listed, rows of new counterparties
+   * are pooled so ledgers with a distinct description per row stay bounded
+   */
+  addCounterpartyRow(breakdown, row, isInput) {
+    const { key, name } = this.counterpartyParser.parse(row);
+    const pooledKey = '*OTHER*';
+    const isFull = () => breakdown[pooledKey] || Object.keys(breakdown).length >= this.config.counterpartyLimit;
+    if (!breakdown[key] && isFull()) {
+      this.addDimensionRow(breakdown, pooledKey, '(Other counterparties)', row, isInput);
+      return;
+    }
+    this.addDimensionRow(breakdown, key, name, row, isInput);
+  }
+
+  /**
+   * Months are keyed "2025-02"; rows without a usable TxDate go under 'undated'
+   */
+  addMonthRow(breakdown, row, isInput) {
+    if (!(row.TxDate instanceof Date)) {
+      this.addDimensionRow(breakdown, 'undated', '(Undated)', row, isInput);
+      return;
+    }
+    const taxPeriods = this.taxPeriods;
+    const month = taxPeriods.toMonthIndex(row.TxDate);
+    this.addDimensionRow(breakdown, taxPeriods.toMonthKey(month), taxPeriods.formatMonth(month), row, isInput);
+  }
+
+  /**
+   * Round totals to 2 decimal places and close the rate and period checks
+   */
+  finalizeResults(results, registry) {
+    const round = value => parseFloat(value.toFixed(2));
+    results.salesIncludingVAT = round(results.salesExcludingVAT + results.totalOutputVAT);
+    results.vatPayable = round(results.totalOutputVAT - results.totalInputVAT);
+    results.totalInputVAT = round(results.totalInputVAT);
+    results.totalOutputVAT = round(results.totalOutputVAT);
+    results.salesExcludingVAT = round(results.salesExcludingVAT);
+    results.zeroRatedSales = round(results.zeroRatedSales);
+
+    Object.values(results.sheetSubtotals).forEach(sheetTotals => {
+      sheetTotals.vatPayable = round(sheetTotals.totalOutputVAT - sheetTotals.totalInputVAT);
+      sheetTotals.totalInputVAT = round(sheetTotals.totalInputVAT);
+      sheetTotals.totalOutputVAT = round(sheetTotals.totalOutputVAT);
+      sheetTotals.salesExcludingVAT = round(sheetTotals.salesExcludingVAT);
+      sheetTotals.zeroRatedSales = round(sheetTotals.zeroRatedSales);
+    });
+    Object.values(results.trCodeBreakdown).forEach(trCodeTotals => {
+      trCodeTotals.vatAmount = round(trCodeTotals.vatAmount);
+      trCodeTotals.exclAmount = round(trCodeTotals.exclAmount);
+    });
+    [results.counterpartyBreakdown, results.monthBreakdown].forEach(breakdown => {
+      Object.values(breakdown).forEach(totals => {
+        totals.outputVAT = round(totals.outputVAT);
+        totals.inputVAT = round(totals.inputVAT);
+        totals.exclAmount = round(totals.exclAmount);
+        totals.vatPayable = round(totals.outputVAT - totals.inputVAT);
+      });
+    });
+
+    this.finalizeRateCheck(results.rateCheck, registry);
+    if (results.periodCheck) {
+      this.taxPeriods.finalizePeriodCheck(results.periodCheck);
+    }
+  }
+
+  /**
+   * Tally a row into its rate period and record TaxRate mismatches (the
+   * first rowLimit of them)
+   */
+  checkRowRate(rateCheck, row, isInput, registry, rowLimit = Infinity) {
+    const period = registry.getRatePeriod(row.TxDate);
+    if (!period) {
+      rateCheck.undatedCount++;
+      return;
+    }
+
+    const dateKey = registry.toDateKey(row.TxDate);
+    if (!rateCheck.periods[period.effectiveFrom]) {
+      rateCheck.periods[period.effectiveFrom] = {
+        effectiveFrom: period.effectiveFrom,
+        rate: period.rate,
+        firstDate: dateKey,
+        lastDate: dateKey,
+        count: 0,
+        outputVAT: 0,
+        inputVAT: 0,
+        exclAmount: 0
+      };
+    }
+    const totals = rateCheck.periods[period.effectiveFrom];
+    totals.firstDate = dateKey < totals.firstDate ? dateKey : totals.firstDate;
+    totals.lastDate = dateKey > totals.lastDate ? dateKey : totals.lastDate;
+    totals.count++;
+    totals[isInput ? 'inputVAT' : 'outputVAT'] += row.TaxAmount;
+    totals.exclAmount += row.ExclAmount;
+
+    const expectedRate = registry.getExpectedRate(row.TaxCode, row.TxDate);
+    if (expectedRate === null || Math.abs(row.TaxRate - expectedRate) <= 0.001) {
+      return;
+    }
+    rateCheck.mismatchCount++;
+    if (rateCheck.mismatches.length < rowLimit) {
+      rateCheck.mismatches.push({
+        TxDate: dateKey,
+        TrCode: row.TrCode,
+        TaxCode: row.TaxCode,
+        Reference: row.Reference,
+        SourceSheet: row.SourceSheet,
+        fileRate: row.TaxRate,
+        expectedRate,
+        TaxAmount: row.TaxAmount,
+        ExclAmount: row.ExclAmount
+      });
+    }
+  }
+
+  finalizeRateCheck(rateCheck, registry) {
+    const periods = Object.values(rateCheck.periods);
+    periods.forEach(period => {
+      period.outputVAT = parseFloat(period.outputVAT.toFixed(2));
+      period.inputVAT = parseFloat(period.inputVAT.toFixed(2));
+      period.exclAmount = parseFloat(period.exclAmount.toFixed(2));
+    });
+
+    if (periods.length === 0) {
+      return;
+    }
+
+    const firstDate = periods.reduce((min, period) => (period.firstDate < min ? period.firstDate : min),
+      periods[0].firstDate);
+    const lastDate = periods.reduce((max, period) => (period.lastDate > max ? period.lastDate : max),
+      periods[0].lastDate);
+    rateCheck.rateChanges = registry.getRateChangesBetween(firstDate, lastDate);
+    rateCheck.straddlesRateChange = periods.length > 1;
+  }
+
+  // Streaming (large files)
+
+  /**
+   * Small workbook for choosing sheets, columns and the entity column
+   * before a large file is streamed: the first previewRows rows of each
+   * sheet (XLSX keeps the full range in !fullref). source as runStream.
+   */
+  readPreview(source, filename = '') {
+    let workbook;
+    if (this.csvParser.isDelimitedFile({ name: filename })) {
+      // Cut at the last complete line so no row or character is split
+      const head = source.read(0, Math.min(source.size, this.config.previewBytes));
+      const end = head.length < source.size ? head.lastIndexOf(0x0A) + 1 : head.length;
+      workbook = this.readWorkbook(head.subarray(0, end || head.length), filename);
+    } else {
+      workbook = this.readWorkbook(source.read(0, source.size), filename, { sheetRows: this.config.previewRows + 1 });
+    }
+    workbook.preview = true;
+    return workbook;
+  }
+
+  /**
+   * Calculate a ledger too large to hold in memory, in batches of rows.
+   * source is { size, read(start, end) } returning the file bytes in that
+   * range (File slices in the worker, a file descriptor in Node). CSV/TSV
+   * files are parsed chunk by chunk; Excel workbooks are read once and
+   * their sheets converted streamBatchSize rows at a time. options as
+   * run(), plus columnMapping (header mapping from the column mapper),
+   * rowLimit (default streamRowLimit) and onProgress(stage, done, total)
+   * with stage 'scan' while an 'auto' period is detected, then 'stream'.
+   */
+  runStream(source, options = {}) {
+    const groupBy = options.groupBy || options.entityColumn || '';
+    const category = options.periodCategory || this.taxPeriods.getSelection().category;
+    const validateOptions = { entityColumn: groupBy, periodCategory: category };
+    const workbook = this.csvParser.isDelimitedFile({ name: options.filename })
+      ? null
+      : this.readWorkbook(source.read(0, source.size), options.filename);
+    const report = (stage, done, total) => options.onProgress && options.onProgress(stage, done, total);
+
+    const calculation = this.beginCalculation({
+      period: this.resolveStreamPeriod(source, workbook, options, validateOptions, report),
+      groupBy,
+      rowLimit: options.rowLimit !== undefined ? options.rowLimit : this.config.streamRowLimit
+    });
+    let rawCount = 0;
+    this.forEachBatch(source, workbook, options, (rawRows, done, total) => {
+      rawCount += rawRows.length;
+      const rows = this.validateRows(rawRows, { ...validateOptions, skippedRows: calculation.skippedRows });
+      this.capSkippedRows(calculation);
+      rows.forEach(row => this.addCalculationRow(calculation, row));
+      report('stream', done, total);
+    });
+
+    if (rawCount === 0) {
+      throw new Error('The Excel file appears to be empty.');
+    }
+    if (calculation.rowCount === 0) {
+      throw new Error('No valid data rows found in the Excel file.');
+    }
+    return this.finishCalculation(calculation);
+  }
+
+  /**
+   * Return period for runStream; 'auto' needs a first pass over the dates
+   */
+  resolveStreamPeriod(source, workbook, options, validateOptions, report) {
+    const category = validateOptions.periodCategory;
+    if (typeof options.period !== 'string') {
+      return options.period || null;
+    }
+    if (options.period !== 'auto') {
+      return this.taxPeriods.resolvePeriod({ category, period: options.period }, []);
+    }
+
+    const counts = {};
+    this.forEachBatch(source, workbook, options, (rawRows, done, total) => {
+      const rows = this.validateRows(rawRows, { ...validateOptions, skippedRows: [] });
+      this.taxPeriods.countPeriods(rows, category, counts);
+      report('scan', done, total);
+    });
+    return this.taxPeriods.pickPeriod(counts, category);
+  }
+
+  /**
+   * Call onBatch(rawRows, done, total) for each batch of raw rows (as
+   * readRows returns them); progress is in bytes for CSV, rows for Excel
+   */
+  forEachBatch(source, workbook, options, onBatch) {
+    if (!workbook) {
+      const sheetName = this.csvParser.getSheetName(options.filename);
+      let headers = null;
+      let rowNum = 1;
+      this.csvParser.parseStream(source, (rows, info) => {
+        if (!headers) {
+          headers = this.getUniqueHeaders(this.mapHeaders(info.headers, options.columnMapping));
+          this.checkColumns(headers, sheetName, false);
+        }
+        const rawRows = rows.map(cells => {
+          const row = {};
+          headers.forEach((header, index) => {
+            row[header] = cells[index];
+          });
+          return { row, sheetName, rowNum: ++rowNum };
+        });
+        onBatch(rawRows, info.bytesRead, source.size);
+      });
+      return;
+    }
+
+    const sheetNames = options.sheetNames && options.sheetNames.length > 0
+      ? options.sheetNames
+      : workbook.SheetNames.slice(0, 1);
+    if (sheetNames.length === 0) {
+      throw new Error('No worksheets found in the Excel file.');
+    }
+
+    const sheets = sheetNames
+      .map(sheetName => ({ sheetName, worksheet: workbook.Sheets[sheetName] }))
+      .filter(({ worksheet }) => worksheet && worksheet['!ref'])
+      .map(sheet => ({ ...sheet, range: this.xlsx.utils.decode_range(sheet.worksheet['!ref']) }));
+    const total = sheets.reduce((count, { range }) => count + range.e.r - range.s.r, 0);
+    let done = 0;
+
+    sheets.forEach(({ sheetName, worksheet, range }) => {
+      if (range.e.r === range.s.r) {
+        return;
+      }
+      const headers = this.getUniqueHeaders(this.mapHeaders(this.getSheetHeaders(worksheet, range),
+        options.columnMapping));
+      this.checkColumns(headers, sheetName, sheetNames.length > 1);
+
+      for (let start = range.s.r + 1; start <= range.e.r; start += this.config.streamBatchSize) {
+        const end = Math.min(start + this.config.streamBatchSize - 1, range.e.r);
+        const rows = this.xlsx.utils.sheet_to_json(worksheet, {
+          header: headers,
+          range: { s: { r: start, c: range.s.c }, e: { r: end, c: range.e.c } }
+        });
+        done += end - start + 1;
+        onBatch(rows.map(row => ({ row, sheetName, rowNum: row.__rowNum__ + 1 })), done, total);
+      }
+    });
+  }
+
+  /**
+   * Header row as sheet_to_json reads it (formatted text, null for blanks)
+   */
+  getSheetHeaders(worksheet, range) {
+    const headers = [];
+    for (let col = range.s.c; col <= range.e.c; col++) {
+      const cell = worksheet[this.xlsx.utils.encode_cell({ r: range.s.r, c: col })];
+      headers.push(cell ? this.xlsx.utils.format_cell(cell) : null);
+    }
+    return headers;
+  }
+
+  /**
+   * Headers renamed as ColumnMappingManager.applyMapping renames header cells
+   */
+  mapHeaders(headers, mapping) {
+    if (!mapping) {
+      return headers;
+    }
+    return headers.map(header => {
+      if (header === null) {
+        return header;
+      }
+      const mapped = this.columnMapper.mapHeader(String(header).trim(), mapping);
+      return mapped === String(header).trim() ? header : mapped;
+    });
+  }
+
+  /**
+   * Row keys as sheet_to_json names them: __EMPTY for blank headers and
+   * _1, _2 suffixes for repeated ones
+   */
+  getUniqueHeaders(headers) {
+    const counts = {};
+    return headers.map(header => {
+      const base = header === null ? '__EMPTY' : header;
+      let name = base;
+      let counter = counts[base] || 0;
+      if (!counter) {
+        counts[base] = 1;
+        return name;
+      }
+      do {
+        name = `${base}_${counter++}`;
+      } while (counts[name]);
+      counts[base] = counter;
+      counts[name] = 1;
+      return name;
+    });
+  }
+
+  // Pipeline
+
+  /**
+   * Read, validate and calculate in one call. options: filename,
+   * sheetNames, entityColumn/groupBy, and period as a period object,
+   * an end-month key ("2025-02") or 'auto', with periodCategory.
+   * Returns { workbook, rows, results }.
+   */
+  run(input, options = {}) {
+    const workbook = input && input.SheetNames ? input : this.readWorkbook(input, options.filename);
+    const skippedRows = [];
+    const groupBy = options.groupBy || options.entityColumn || '';
+    const rows = this.validate(workbook, {
+      sheetNames: options.sheetNames,
+      skippedRows,
+      entityColumn: groupBy,
+      periodCategory: options.periodCategory
+    });
+
+    const period = typeof options.period === 'string'
+      ? this.taxPeriods.resolvePeriod({
+        category: options.periodCategory || this.taxPeriods.getSelection().category,
+        period: options.period
+      }, rows)
+      : options.period || null;
+
+    const results = this.calculate(rows, { skippedRows, period, groupBy });
+    return { workbook, rows, results };
+  }
+}
+
+/**
+ * Column names accepted for the optional ledger columns, first match wins
+ */
+VatEngine.COLUMN_ALIASES = {
+  TxDate: ['TxDate', 'txDate', 'TransactionDate', 'Date'],
+  Reference: ['Reference', 'reference', 'Ref', 'RefNo'],
+  TmDescription: ['TmDescription', 'tmDescription', 'TrnDescription', 'trnDescription', 'Description'],
+  TaxType: ['TaxType', 'taxType'],
+  Reference2: ['Reference2', 'reference2'],
+  Order_No: ['Order_No', 'OrderNo', 'order_no'],
+  cAuditNumber: ['cAuditNumber', 'AuditNumber', 'auditNumber'],
+  DTStamp: ['DTStamp', 'dtStamp', 'DateStamp', 'Timestamp'],
+  Counterparty: ['Counterparty', 'CustomerName', 'SupplierName', 'Customer', 'Supplier', 'AccountName']
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VatEngine;
+}
+
+if (typeof window !== 'undefined') {
+  window.vatEngine = new VatEngine();
+}
@@ -12,10 +12,13 @@ function calculateVAT(data, filename) {
     };
 
     // Initialize tax code breakdowns
-    for (const [code, info] of Object.entries(TAX_CODES)) {
+    const registry = window.taxCodeRegistry;
+    for (const [code, info] of Object.entries(registry.getTaxCodes())) {
         results.taxCodeBreakdown[code] = {
             description: info.description,
             rate: info.rate,
+            category: info.category,
+            capitalGoods: info.capitalGoods,
             input: {
                 count: 0,
                 vatAmount: 0,
@@ -39,8 +42,9 @@ function calculateVAT(data, filename) {
         const exclAmount = row.ExclAmount;
 
         // Determine if this is INPUT or OUTPUT
-        const isInput = VAT_INPUT_CODES.includes(trCode);
-        const isOutput = VAT_OUTPUT_CODES.includes(trCode);
+        const direction = registry.getDirection(trCode);
+        const isInput = direction === 'input';
+        const isOutput = direction === 'output';
 
         if (!isInput && !isOutput) {
             console.warn(`Unknown TrCode: ${trCode}, skipping transaction`);
@@ -72,8 +76,8 @@ function calculateVAT(data, filename) {
             results.totalOutputVAT += taxAmount;
             results.salesExcludingVAT += exclAmount;
             
-            // Zero-rated sales (Tax Code 3)
-            if (taxCode === '3') {
+            // Zero-rated sales (registry category 'zero', Tax Code 3 by default)
+            if (registry.getCategory(taxCode) === 'zero') {
                 results.zeroRatedSales += exclAmount;
             }
         }
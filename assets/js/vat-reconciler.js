@@ -0,0 +1,146 @@
+/**
+ * Row Reconciliation for VAT Calculator Pro
+ * Recomputes VAT from ExclAmount × TaxRate and checks that
+ * ExclAmount + TaxAmount = InclAmount for every row, within a rounding
+ * tolerance, and lists the rows that do not reconcile
+ * Version: 1.0.0
+ */
+
+class VatReconciler {
+  constructor(config = {}) {
+    this.config = {
+      tolerance: config.tolerance !== undefined ? config.tolerance : 0.01,
+      ...config
+    };
+  }
+
+  setTolerance(tolerance) {
+    const value = Number(tolerance);
+    if (isNaN(value) || value < 0) {
+      throw new Error(`Invalid reconciliation tolerance: ${tolerance}`);
+    }
+    this.config.tolerance = value;
+  }
+
+  getTolerance() {
+    return this.config.tolerance;
+  }
+
+  round(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+  }
+
+  /**
+   * Check every row and return a summary plus the exceptions list.
+   * Rows are validateExcelData output (SourceRow/SourceSheet identify them).
+   */
+  reconcile(rows, options = {}) {
+    const reconciliation = this.createReconciliation(options);
+    rows.forEach((row, index) => this.addRow(reconciliation, row, index));
+    return this.finishReconciliation(reconciliation);
+  }
+
+  /**
+   * Running reconciliation for rows that arrive in batches (see addRow).
+   * options.rowLimit caps the exceptions listed; the summary counts all
+   */
+  createReconciliation(options = {}) {
+    const tolerance = options.tolerance !== undefined ? Number(options.tolerance) : this.config.tolerance;
+    return {
+      rowLimit: options.rowLimit !== undefined ? options.rowLimit : Infinity,
+      summary: {
+        tolerance,
+        checkedCount: 0,
+        exceptionCount: 0,
+        vatMismatchCount: 0,
+        totalMismatchCount: 0,
+        vatDifference: 0
+      },
+      exceptions: []
+    };
+  }
+
+  addRow(reconciliation, row, index) {
+    const { summary, exceptions } = reconciliation;
+    summary.checkedCount++;
+    const rowExceptions = this.checkRow(row, summary.tolerance);
+    if (rowExceptions.length === 0) {
+      return;
+    }
+
+    summary.exceptionCount++;
+    rowExceptions.forEach(exception => {
+      if (exception.check === 'VAT') {
+        summary.vatMismatchCount++;
+        summary.vatDifference += exception.difference;
+      } else {
+        summary.totalMismatchCount++;
+      }
+      if (exceptions.length >= reconciliation.rowLimit) {
+        return;
+      }
+      exceptions.push({
+        rowNumber: row.SourceRow || index + 2,
+        sheet: row.SourceSheet || '',
+        reference: row.Reference || '',
+        trCode: row.TrCode,
+        taxCode: row.TaxCode,
+        taxRate: row.TaxRate,
+        ...exception
+      });
+    });
+  }
+
+  finishReconciliation(reconciliation) {
+    const { summary, exceptions } = reconciliation;
+    summary.vatDifference = this.round(summary.vatDifference);
+    return { summary, exceptions };
+  }
+
+  /**
+   * VAT check: TaxAmount vs ExclAmount × TaxRate / 100.
+   * Total check: ExclAmount + TaxAmount vs InclAmount.
+   */
+  checkRow(row, tolerance) {
+    const exceptions = [];
+    const exclAmount = Number(row.ExclAmount) || 0;
+    const taxAmount = Number(row.TaxAmount) || 0;
+    const inclAmount = Number(row.InclAmount) || 0;
+    const rate = Number(row.TaxRate) || 0;
+
+    const expectedVAT = this.round(exclAmount * rate / 100);
+    const vatDifference = this.round(taxAmount - expectedVAT);
+    if (Math.abs(vatDifference) > tolerance) {
+      exceptions.push({
+        check: 'VAT',
+        description: 'TaxAmount does not equal ExclAmount × TaxRate',
+        expected: expectedVAT,
+        actual: taxAmount,
+        difference: vatDifference
+      });
+    }
+
+    const expectedIncl = this.round(exclAmount + taxAmount);
+    const inclDifference = this.round(inclAmount - expectedIncl);
+    if (Math.abs(inclDifference) > tolerance) {
+      exceptions.push({
+        check: 'TOTAL',
+        description: 'ExclAmount + TaxAmount does not equal InclAmount',
+        expected: expectedIncl,
+        actual: inclAmount,
+        difference: inclDifference
+      });
+    }
+
+    return exceptions;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VatReconciler;
+}
+
+if (typeof window !== 'undefined') {
+  window.vatReconciler = new VatReconciler();
+}
@@ -0,0 +1,189 @@
+/**
+ * VAT Worker Client for VAT Calculator Pro
+ * Page side of assets/js/vat-worker.js: sends workbook bytes, rows and
+ * options to the worker, relays its progress events and lets the user
+ * cancel a run. Files over streamThreshold are streamed in the worker
+ * instead of being read whole. Falls back to window.vatEngine on the main
+ * thread where workers are unavailable (file:// pages, old browsers)
+ * Version: 1.0.0
+ */
+
+class VatWorkerClient {
+  constructor(config = {}) {
+    this.config = {
+      workerUrl: config.workerUrl || 'assets/js/vat-worker.js',
+      streamThreshold: config.streamThreshold || 20 * 1024 * 1024,
+      ...config
+    };
+
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  isSupported() {
+    return typeof Worker !== 'undefined' &&
+      !(typeof location !== 'undefined' && location.protocol === 'file:');
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(this.config.workerUrl);
+      this.worker.onmessage = e => this.handleMessage(e.data);
+      this.worker.onerror = e => {
+        e.preventDefault();
+        this.rejectAll(new Error(e.message || 'The calculation worker failed to start.'));
+        this.terminate();
+      };
+    }
+    return this.worker;
+  }
+
+  handleMessage({ id, type, stage, done, total, result, message }) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return;
+    }
+
+    if (type === 'progress') {
+      if (request.onProgress) {
+        request.onProgress(stage, done, total);
+      }
+      return;
+    }
+
+    this.pending.delete(id);
+    if (type === 'result') {
+      request.resolve(result);
+    } else {
+      request.reject(new Error(message));
+    }
+  }
+
+  /**
+   * The page's tax code registry and reconciliation tolerance, so the
+   * worker calculates exactly like window.vatEngine would
+   */
+  getSettings() {
+    return {
+      registry: window.taxCodeRegistry ? window.taxCodeRegistry.toJSON() : null,
+      tolerance: window.vatReconciler ? window.vatReconciler.getTolerance() : undefined
+    };
+  }
+
+  request(type, payload, { onProgress, transfer = [] } = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onProgress });
+      try {
+        this.getWorker().postMessage({ id, type, payload, settings: this.getSettings() }, transfer);
+      } catch (error) {
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  // Pipeline steps, each mirroring the VatEngine method of the same name
+
+  /**
+   * Parse workbook bytes (ArrayBuffer) into an XLSX workbook
+   */
+  readWorkbook(buffer, filename) {
+    if (!this.isSupported()) {
+      return Promise.resolve(window.vatEngine.readWorkbook(buffer, filename));
+    }
+    // The buffer is moved to the worker rather than copied
+    return this.request('read', { buffer, filename }, { transfer: [buffer] });
+  }
+
+  /**
+   * Validate the selected sheets. Rejected rows are appended to
+   * options.skippedRows; options.onProgress(stage, done, total) is called as rows are checked
+   */
+  async validate(workbook, options = {}) {
+    const { onProgress, skippedRows = [], ...rest } = options;
+    if (!this.isSupported()) {
+      return window.vatEngine.validate(workbook, { ...rest, skippedRows, onProgress });
+    }
+
+    const result = await this.request('validate', { workbook, options: rest }, { onProgress });
+    skippedRows.push(...result.skippedRows);
+    return result.rows;
+  }
+
+  /**
+   * Calculate the validated rows (options as VatEngine.calculate)
+   */
+  calculate(rows, options = {}) {
+    const { onProgress, ...rest } = options;
+    if (!this.isSupported()) {
+      return Promise.resolve(window.vatEngine.calculate(rows, { ...rest, onProgress }));
+    }
+    return this.request('calculate', { rows, options: rest }, { onProgress });
+  }
+
+  // Large files
+
+  /**
+   * Whether a File is too large to read whole and should be streamed
+   */
+  shouldStream(file) {
+    return this.isSupported() && file.size > this.config.streamThreshold;
+  }
+
+  /**
+   * Preview workbook (first rows of each sheet) for sheet, column and
+   * entity selection; marked workbook.preview
+   */
+  readPreview(file) {
+    return this.request('preview', { file });
+  }
+
+  /**
+   * Validate and calculate a File in one streamed pass. options as
+   * VatEngine.runStream (period may be an end-month key or 'auto')
+   */
+  calculateFile(file, options = {}) {
+    const { onProgress, ...rest } = options;
+    return this.request('stream', { file, options: rest }, { onProgress });
+  }
+
+  // Cancellation
+
+  /**
+   * Stop the running step. Its promise rejects with error.cancelled set;
+   * the next request starts a fresh worker
+   */
+  cancel() {
+    const error = new Error('Processing cancelled.');
+    error.cancelled = true;
+    this.terminate();
+    this.rejectAll(error);
+  }
+
+  isBusy() {
+    return this.pending.size > 0;
+  }
+
+  rejectAll(error) {
+    const requests = [...this.pending.values()];
+    this.pending.clear();
+    requests.forEach(request => request.reject(error));
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VatWorkerClient;
+}
+
+if (typeof window !== 'undefined') {
+  window.vatWorker = new VatWorkerClient();
+}
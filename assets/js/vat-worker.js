@@ -0,0 +1,106 @@
+/**
+ * VAT Worker for VAT Calculator Pro
+ * Runs workbook parsing, validation and calculation off the main thread
+ * with the same engine (vat-engine-core.js) the page uses, posting
+ * progress as it goes. Driven by vat-worker-client.js.
+ *
+ * Messages in:  { id, type: 'read' | 'validate' | 'calculate' | 'preview' | 'stream', payload, settings }
+ * Messages out: { id, type: 'progress', stage, done, total }
+ *               { id, type: 'result', result } | { id, type: 'error', message }
+ * Version: 1.0.0
+ */
+
+/* global importScripts, FileReaderSync, TaxCodeRegistry, CsvParser, VatReconciler, SkippedRowReport,
+   TaxPeriodManager, EntityGrouper, ColumnMappingManager, CounterpartyParser, ManualAdjustments, VatEngine */
+
+importScripts(
+  'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+  'tax-code-registry.js',
+  'csv-parser.js',
+  'vat-reconciler.js',
+  'skipped-row-report.js',
+  'tax-period.js',
+  'entity-grouper.js',
+  'column-mapper.js',
+  'counterparty-parser.js',
+  'manual-adjustments.js',
+  'vat-engine-core.js'
+);
+
+/**
+ * Engine configured like the page: the page's tax code registry and
+ * reconciliation tolerance arrive with every message
+ */
+function createEngine(settings = {}) {
+  const registry = new TaxCodeRegistry();
+  if (settings.registry) {
+    registry.registry = registry.normalize(settings.registry);
+  }
+
+  return new VatEngine({
+    XLSX: self.XLSX,
+    registry,
+    csvParser: new CsvParser({ XLSX: self.XLSX }),
+    reconciler: new VatReconciler(settings.tolerance !== undefined ? { tolerance: settings.tolerance } : {}),
+    skippedRowReport: new SkippedRowReport(),
+    taxPeriods: new TaxPeriodManager(),
+    entityGrouper: new EntityGrouper(),
+    columnMapper: new ColumnMappingManager(),
+    counterpartyParser: new CounterpartyParser(),
+    manualAdjustments: new ManualAdjustments()
+  });
+}
+
+/**
+ * Byte ranges of an uploaded File, read on demand so large files never
+ * sit in memory whole (see VatEngine.runStream)
+ */
+function fileSource(file) {
+  const reader = new FileReaderSync();
+  return {
+    size: file.size,
+    read: (start, end) => new Uint8Array(reader.readAsArrayBuffer(file.slice(start, end)))
+  };
+}
+
+const handlers = {
+  read(engine, { buffer, filename }) {
+    return engine.readWorkbook(buffer, filename);
+  },
+
+  // Rejected rows come back with the validated ones
+  validate(engine, { workbook, options }, onProgress) {
+    const skippedRows = [];
+    const rows = engine.validate(workbook, { ...options, skippedRows, onProgress });
+    return { rows, skippedRows };
+  },
+
+  calculate(engine, { rows, options }, onProgress) {
+    return engine.calculate(rows, { ...options, onProgress });
+  },
+
+  preview(engine, { file }) {
+    return engine.readPreview(fileSource(file), file.name);
+  },
+
+  stream(engine, { file, options }, onProgress) {
+    return engine.runStream(fileSource(file), { ...options, filename: file.name, onProgress });
+  }
+};
+
+self.onmessage = function(e) {
+  const { id, type, payload, settings } = e.data;
+  const onProgress = (stage, done, total) => {
+    self.postMessage({ id, type: 'progress', stage, done, total });
+  };
+
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown worker request "${type}"`);
+    }
+    const result = handlers[type](createEngine(settings), payload, onProgress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,324 @@
+/**
+ * VAT201 Return Builder for VAT Calculator Pro
+ * Maps calculateVAT results onto the fields of the SARS VAT201 return so
+ * the populated return can be shown, exported and keyed into eFiling
+ * Version: 1.0.0
+ */
+
+class Vat201Builder {
+  constructor(config = {}) {
+    this.config = {
+      accommodationFactor: config.accommodationFactor || 0.6,
+      defaultStandardRate: config.defaultStandardRate || 15,
+      ...config
+    };
+  }
+
+  /**
+   * VAT201 layout. "source" says where a value comes from:
+   * ledger (derived from transactions), manual (not identifiable in a
+   * ledger export, keyed by the preparer) or calculated (from other fields)
+   */
+  static getFieldDefinitions() {
+    return [
+      { field: '1', section: 'output', kind: 'consideration', source: 'ledger',
+        label: 'Standard rate (excluding capital goods and/or services and accommodation)' },
+      { field: '1A', section: 'output', kind: 'consideration', source: 'ledger',
+        label: 'Standard rate (only capital goods and/or services)' },
+      { field: '2', section: 'output', kind: 'consideration', source: 'ledger',
+        label: 'Zero rate (excluding goods exported)' },
+      { field: '2A', section: 'output', kind: 'consideration', source: 'manual',
+        label: 'Zero rate (only exported goods)' },
+      { field: '3', section: 'output', kind: 'consideration', source: 'ledger',
+        label: 'Exempt and non-supplies' },
+      { field: '4', section: 'output', kind: 'vat', source: 'ledger',
+        label: 'Output tax on standard-rated supplies (field 1)' },
+      { field: '4A', section: 'output', kind: 'vat', source: 'ledger',
+        label: 'Output tax on capital goods and/or services (field 1A)' },
+      { field: '5', section: 'output', kind: 'consideration', source: 'manual',
+        label: 'Supply of accommodation exceeding 28 days' },
+      { field: '6', section: 'output', kind: 'consideration', source: 'calculated',
+        label: 'Taxable portion of accommodation exceeding 28 days (60% of field 5)' },
+      { field: '7', section: 'output', kind: 'consideration', source: 'manual',
+        label: 'Supply of accommodation not exceeding 28 days' },
+      { field: '8', section: 'output', kind: 'consideration', source: 'calculated',
+        label: 'Total taxable accommodation (fields 6 + 7)' },
+      { field: '9', section: 'output', kind: 'vat', source: 'calculated',
+        label: 'Output tax on accommodation (field 8)' },
+      { field: '10', section: 'output', kind: 'consideration', source: 'manual',
+        label: 'Change in use and export of second-hand goods' },
+      { field: '11', section: 'output', kind: 'vat', source: 'calculated',
+        label: 'Output tax on change in use (field 10)' },
+      { field: '12', section: 'output', kind: 'vat', source: 'manual',
+        label: 'Other and imported services' },
+      { field: '13', section: 'output', kind: 'total', source: 'calculated',
+        label: 'Total A: Total output tax (4 + 4A + 9 + 11 + 12)' },
+      { field: '14', section: 'input', kind: 'vat', source: 'ledger',
+        label: 'Capital goods and/or services supplied to you' },
+      { field: '14A', section: 'input', kind: 'vat', source: 'manual',
+        label: 'Capital goods imported' },
+      { field: '15', section: 'input', kind: 'vat', source: 'ledger',
+        label: 'Other goods and/or services supplied to you (not capital goods)' },
+      { field: '15A', section: 'input', kind: 'vat', source: 'manual',
+        label: 'Other goods imported (not capital goods)' },
+      { field: '16', section: 'input', kind: 'vat', source: 'manual',
+        label: 'Change in use' },
+      { field: '17', section: 'input', kind: 'vat', source: 'manual',
+        label: 'Bad debts' },
+      { field: '18', section: 'input', kind: 'vat', source: 'manual',
+        label: 'Other' },
+      { field: '19', section: 'input', kind: 'total', source: 'calculated',
+        label: 'Total B: Total input tax (14 + 14A + 15 + 15A + 16 + 17 + 18)' },
+      { field: '20', section: 'result', kind: 'total', source: 'calculated',
+        label: 'VAT payable / (refundable) (13 - 19)' }
+    ];
+  }
+
+  getRegistry(options) {
+    if (options.registry) {
+      return options.registry;
+    }
+    return typeof window !== 'undefined' ? window.taxCodeRegistry : null;
+  }
+
+  /**
+   * Rate used for the calculated accommodation and change-in-use fields
+   */
+  getStandardRate(registry) {
+    const codes = registry ? Object.values(registry.getTaxCodes()) : [];
+    const standard = codes.find(code => code.category === 'standard' && code.rate > 0);
+    return standard ? standard.rate : this.config.defaultStandardRate;
+  }
+
+  /**
+   * Build the return from a calculateVAT result. options.manual holds
+   * amounts for the manual fields, e.g. { '2A': 12000, '17': 850 }
+   */
+  build(results, options = {}) {
+    const registry = this.getRegistry(options);
+    const manual = options.manual || {};
+    // Problems the preparer should resolve before filing
+    const warnings = [];
+    const values = {};
+    Vat201Builder.getFieldDefinitions().forEach(definition => {
+      values[definition.field] = 0;
+    });
+
+    Object.entries(results.taxCodeBreakdown || {}).forEach(([taxCode, breakdown]) => {
+      this.addOutput(values, taxCode, breakdown, registry);
+      this.addInput(values, taxCode, breakdown, registry);
+    });
+
+    // Manual adjustments (see manual-adjustments.js) go to the fields of their tax code
+    (results.adjustments ? results.adjustments.entries : []).forEach(adjustment => {
+      const codeInfo = registry ? registry.getTaxCodes()[adjustment.taxCode] : null;
+      const breakdown = {
+        category: codeInfo ? codeInfo.category : null,
+        capitalGoods: codeInfo ? codeInfo.capitalGoods : false,
+        [adjustment.direction]: { count: 1, vatAmount: adjustment.vatAmount, exclAmount: adjustment.exclAmount }
+      };
+      this.addOutput(values, adjustment.taxCode, breakdown, registry);
+      this.addInput(values, adjustment.taxCode, breakdown, registry);
+    });
+
+    Object.entries(manual).forEach(([field, amount]) => {
+      const definition = Vat201Builder.getFieldDefinitions().find(item => item.field === field);
+      const number = Number(amount);
+      if (definition && definition.source === 'manual' && !isNaN(number)) {
+        values[field] = number;
+      }
+    });
+
+    // Exported goods are keyed manually and come out of the zero-rated total,
+    // which they cannot exceed
+    if (values['2A'] > values['2'] + 0.005) {
+      warnings.push(`Field 2A (exported goods, ${values['2A'].toFixed(2)}) is more than the zero-rated ` +
+        `supplies in the ledger (${values['2'].toFixed(2)}), so field 2 is shown as 0. Check the exported ` +
+        'goods amount.');
+      values['2'] = 0;
+    } else {
+      values['2'] -= values['2A'];
+    }
+    Object.keys(values).forEach(field => {
+      values[field] = this.round(values[field]);
+    });
+
+    const approximateCodes = this.getApproximateCodes(results, registry);
+    if (approximateCodes.length > 0) {
+      warnings.push(`Capital goods for tax code ${approximateCodes.join(', ')} are split by the tax code only, ` +
+        'as these results predate capital goods totals and not every transaction was kept: TrCode ' +
+        'capital-goods flags are not applied to fields 1A, 4A and 14. Process the file again for exact figures.');
+    }
+
+    // Calculated fields use the rounded amounts so totals add up on the form
+    const rate = this.getStandardRate(registry);
+    values['6'] = this.round(values['5'] * this.config.accommodationFactor);
+    values['8'] = this.round(values['6'] + values['7']);
+    values['9'] = this.round(values['8'] * rate / (100 + rate));
+    values['11'] = this.round(values['10'] * rate / (100 + rate));
+    values['13'] = this.round(values['4'] + values['4A'] + values['9'] + values['11'] + values['12']);
+    values['19'] = this.round(values['14'] + values['14A'] + values['15'] + values['15A'] +
+      values['16'] + values['17'] + values['18']);
+    values['20'] = this.round(values['13'] - values['19']);
+
+    return {
+      form: 'VAT201',
+      generatedAt: new Date().toISOString(),
+      standardRate: rate,
+      fields: values,
+      lines: Vat201Builder.getFieldDefinitions().map(definition => ({
+        ...definition,
+        value: values[definition.field]
+      })),
+      vatPayable: values['20'],
+      isRefund: values['20'] < 0,
+      // Fields 1A, 4A and 14 may be off (see getApproximateCodes)
+      approximate: approximateCodes.length > 0,
+      warnings,
+      // Ledger-derived fields should net to the calculator's VAT payable
+      reconciles: Math.abs(values['4'] + values['4A'] - values['14'] - values['15'] -
+        (results.vatPayable || 0)) < 0.01
+    };
+  }
+
+  /**
+   * Output rows: consideration (incl. VAT) by supply category, VAT into
+   * field 4 or 4A depending on the capital-goods flag
+   */
+  addOutput(values, taxCode, breakdown, registry) {
+    const output = breakdown.output;
+    if (!output || output.count === 0) {
+      return;
+    }
+
+    const category = breakdown.category || (registry ? registry.getCategory(taxCode) : null);
+    this.splitByCapitalGoods(taxCode, output, breakdown, registry).forEach(part => {
+      const consideration = part.exclAmount + part.vatAmount;
+      if (category === 'zero') {
+        values['2'] += consideration;
+      } else if (category === 'exempt') {
+        values['3'] += consideration;
+      } else if (part.capitalGoods) {
+        values['1A'] += consideration;
+      } else {
+        values['1'] += consideration;
+      }
+      values[part.capitalGoods ? '4A' : '4'] += part.vatAmount;
+    });
+  }
+
+  addInput(values, taxCode, breakdown, registry) {
+    const input = breakdown.input;
+    if (!input || input.count === 0) {
+      return;
+    }
+
+    this.splitByCapitalGoods(taxCode, input, breakdown, registry).forEach(part => {
+      values[part.capitalGoods ? '14' : '15'] += part.vatAmount;
+    });
+  }
+
+  /**
+   * Capital-goods and other totals for one side of a tax code. Uses the
+   * capital totals the engine keeps while rows are processed (so TrCode
+   * flags apply); results archived before them are split by their stored
+   * transactions when all were kept, and by the tax-code flag otherwise
+   */
+  splitByCapitalGoods(taxCode, side, breakdown, registry) {
+    if (side.capital) {
+      return [
+        { capitalGoods: true, vatAmount: side.capital.vatAmount, exclAmount: side.capital.exclAmount },
+        {
+          capitalGoods: false,
+          vatAmount: side.vatAmount - side.capital.vatAmount,
+          exclAmount: side.exclAmount - side.capital.exclAmount
+        }
+      ];
+    }
+
+    const transactions = side.transactions || [];
+    if (transactions.length === 0 || transactions.length !== side.count) {
+      return [{ capitalGoods: !!breakdown.capitalGoods, vatAmount: side.vatAmount, exclAmount: side.exclAmount }];
+    }
+
+    const parts = {
+      capital: { capitalGoods: true, vatAmount: 0, exclAmount: 0 },
+      other: { capitalGoods: false, vatAmount: 0, exclAmount: 0 }
+    };
+    transactions.forEach(transaction => {
+      const isCapital = registry
+        ? registry.isCapitalGoods(taxCode, transaction.TrCode)
+        : !!breakdown.capitalGoods;
+      const part = isCapital ? parts.capital : parts.other;
+      part.vatAmount += Number(transaction.TaxAmount) || 0;
+      part.exclAmount += Number(transaction.ExclAmount) || 0;
+    });
+    return [parts.capital, parts.other];
+  }
+
+  /**
+   * Tax codes split by the tax-code flag alone although the registry flags
+   * TrCodes as capital goods: sides without capital totals whose
+   * transactions were cut off at the row limit (streamed files)
+   */
+  getApproximateCodes(results, registry) {
+    const trCodeFlags = registry && Object.values(registry.getTrCodes()).some(info => info.capitalGoods);
+    if (!trCodeFlags) {
+      return [];
+    }
+    return Object.entries(results.taxCodeBreakdown || {})
+      .filter(([, breakdown]) => ['input', 'output'].some(direction => {
+        const side = breakdown[direction];
+        return side && side.count > 0 && !side.capital && (side.transactions || []).length !== side.count;
+      }))
+      .map(([taxCode]) => taxCode);
+  }
+
+  round(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+  }
+
+  /**
+   * Structured export for keying into eFiling
+   */
+  toJSON(vat201, metadata = {}) {
+    return JSON.stringify({
+      form: vat201.form,
+      generatedAt: vat201.generatedAt,
+      ...metadata,
+      standardRate: vat201.standardRate,
+      fields: vat201.lines.map(line => ({
+        field: line.field,
+        description: line.label,
+        section: line.section,
+        source: line.source,
+        amount: line.value
+      })),
+      vatPayable: vat201.vatPayable,
+      isRefund: vat201.isRefund,
+      approximate: vat201.approximate,
+      warnings: vat201.warnings
+    }, null, 2);
+  }
+
+  toCSV(vat201) {
+    const escape = value => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['Field', 'Description', 'Section', 'Source', 'Amount']];
+    vat201.lines.forEach(line => {
+      rows.push([line.field, line.label, line.section, line.source, line.value.toFixed(2)]);
+    });
+    return rows.map(row => row.map(escape).join(',')).join('\r\n');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Vat201Builder;
+}
+
+if (typeof window !== 'undefined') {
+  window.vat201Builder = new Vat201Builder();
+}
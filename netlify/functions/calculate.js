@@ -0,0 +1,222 @@
+// VAT Calculation Endpoint for VAT Calculator Pro
+// Accepts an xlsx/xls/csv upload (multipart/form-data or JSON with base64
+// content), runs the headless engine and returns the results and the
+// validation report as JSON. Runs entirely in the function: no external services.
+
+import XLSX from 'xlsx';
+import VatEngine from '../../assets/js/vat-engine-core.js';
+import TaxCodeRegistry from '../../assets/js/tax-code-registry.js';
+import VatReconciler from '../../assets/js/vat-reconciler.js';
+import SkippedRowReport from '../../assets/js/skipped-row-report.js';
+import TaxPeriodManager from '../../assets/js/tax-period.js';
+import EntityGrouper from '../../assets/js/entity-grouper.js';
+import CsvParser from '../../assets/js/csv-parser.js';
+import CounterpartyParser from '../../assets/js/counterparty-parser.js';
+import ManualAdjustments from '../../assets/js/manual-adjustments.js';
+import ColumnMappingManager from '../../assets/js/column-mapper.js';
+
+const HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': process.env.SITE_URL || '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Cache-Control': 'no-cache, no-store, must-revalidate'
+};
+
+const SUPPORTED_FILE = /\.(xlsx|xls|csv|tsv)$/i;
+
+function respond(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: { ...HEADERS, ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+// Dependencies are passed in explicitly so the bundler can follow them: the
+// engine's require() fallback takes a variable path, which esbuild cannot bundle
+export function createEngine() {
+  return new VatEngine({
+    XLSX,
+    registry: new TaxCodeRegistry(),
+    reconciler: new VatReconciler(),
+    skippedRowReport: new SkippedRowReport(),
+    taxPeriods: new TaxPeriodManager(),
+    entityGrouper: new EntityGrouper(),
+    csvParser: new CsvParser({ XLSX }),
+    counterpartyParser: new CounterpartyParser(),
+    manualAdjustments: new ManualAdjustments(),
+    columnMapper: new ColumnMappingManager()
+  });
+}
+
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : '';
+}
+
+// multipart/form-data: the "file" part plus plain text option fields
+function parseMultipart(body, contentType) {
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!match) {
+    throw new Error('Missing multipart boundary');
+  }
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const upload = { fields: {} };
+  let start = body.indexOf(boundary);
+
+  while (start !== -1) {
+    const next = body.indexOf(boundary, start + boundary.length);
+    if (next === -1) {
+      break;
+    }
+
+    // Each part: CRLF, headers, blank line, content, CRLF
+    const part = body.subarray(start + boundary.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const partHeaders = part.subarray(0, headerEnd).toString('utf8');
+      const content = part.subarray(headerEnd + 4);
+      const name = (partHeaders.match(/name="([^"]*)"/i) || [])[1];
+      const filename = (partHeaders.match(/filename="([^"]*)"/i) || [])[1];
+
+      if (filename !== undefined) {
+        upload.filename = filename;
+        upload.content = content;
+      } else if (name) {
+        upload.fields[name] = content.toString('utf8');
+      }
+    }
+    start = next;
+  }
+
+  return upload;
+}
+
+// JSON: { filename, content (base64), period, periodCategory, groupBy, sheetNames }
+function parseJson(body) {
+  const data = JSON.parse(body.toString('utf8'));
+  const { filename, content, ...fields } = data;
+  return {
+    filename,
+    content: typeof content === 'string' ? Buffer.from(content.replace(/^data:[^,]*,/, ''), 'base64') : null,
+    fields
+  };
+}
+
+function parseUpload(event) {
+  const body = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+  const contentType = getHeader(event.headers, 'content-type');
+  return contentType.toLowerCase().startsWith('multipart/form-data')
+    ? parseMultipart(body, contentType)
+    : parseJson(body);
+}
+
+function getOptions(fields) {
+  const sheetNames = Array.isArray(fields.sheetNames)
+    ? fields.sheetNames
+    : String(fields.sheetNames || '').split(',').map(name => name.trim()).filter(Boolean);
+  return {
+    period: String(fields.period || ''),
+    periodCategory: String(fields.periodCategory || fields.category || 'B').toUpperCase(),
+    groupBy: String(fields.groupBy || ''),
+    sheetNames,
+    includeTransactions: fields.includeTransactions === true || fields.includeTransactions === 'true'
+  };
+}
+
+// Row-level arrays are left out unless asked for, to keep responses small
+function toResponseResults(results, includeTransactions) {
+  if (includeTransactions) {
+    return results;
+  }
+
+  const { transactions, ...summary } = results;
+  const taxCodeBreakdown = {};
+  Object.entries(results.taxCodeBreakdown).forEach(([code, breakdown]) => {
+    taxCodeBreakdown[code] = {
+      ...breakdown,
+      input: { ...breakdown.input, transactions: undefined },
+      output: { ...breakdown.output, transactions: undefined }
+    };
+  });
+  return { ...summary, taxCodeBreakdown, transactionCount: transactions.length };
+}
+
+function getValidationReport(rows, results) {
+  return {
+    valid: true,
+    // Rows that passed validation; rows with unknown TrCodes are also in skippedRows
+    validatedRows: rows.length,
+    skippedRows: results.skippedRows,
+    reconciliation: results.reconciliation.summary,
+    rateMismatches: results.rateCheck.mismatchCount,
+    outOfPeriod: results.periodCheck ? results.periodCheck.outOfPeriod.count : 0
+  };
+}
+
+export async function handler(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: HEADERS, body: '' };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return respond(405, {
+      error: 'Method not allowed',
+      message: 'Only POST requests are accepted'
+    }, { 'Allow': 'POST, OPTIONS' });
+  }
+
+  let upload;
+  try {
+    upload = parseUpload(event);
+  } catch (error) {
+    return respond(400, {
+      error: 'Invalid request body',
+      message: 'Send multipart/form-data with a "file" field, or JSON with "filename" and base64 "content".'
+    });
+  }
+
+  if (!upload.filename || !upload.content || upload.content.length === 0) {
+    return respond(400, {
+      error: 'Missing file',
+      required: ['filename', 'content']
+    });
+  }
+
+  if (!SUPPORTED_FILE.test(upload.filename)) {
+    return respond(415, {
+      error: 'Unsupported file type',
+      message: 'Upload an .xlsx, .xls, .csv or .tsv file.'
+    });
+  }
+
+  const options = getOptions(upload.fields);
+
+  try {
+    const { rows, results } = createEngine().run(upload.content, { ...options, filename: upload.filename });
+
+    return respond(200, {
+      success: true,
+      filename: upload.filename,
+      timestamp: new Date().toISOString(),
+      validation: getValidationReport(rows, results),
+      results: toResponseResults(results, options.includeTransactions)
+    });
+  } catch (error) {
+    // Engine errors are validation failures: unreadable file, missing columns, no valid rows
+    console.error('Calculation error:', error.message);
+
+    return respond(422, {
+      success: false,
+      filename: upload.filename,
+      timestamp: new Date().toISOString(),
+      validation: {
+        valid: false,
+        errors: [error.message]
+      }
+    });
+  }
+}
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Copy the main app's shared modules into vat-calculator-pro
+ *
+ * vat-calculator-pro deploys on its own (folder drag-and-drop, Git deploy
+ * with it as the base directory, or served locally), so it keeps real
+ * copies of these files rather than links. Run after changing any of them;
+ * --check only reports copies that differ from the main app's file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const rootDir = path.join(__dirname, '..');
+const sourceDir = path.join(rootDir, 'assets', 'js');
+const targetDir = path.join(rootDir, 'vat-calculator-pro', 'assets', 'js');
+
+const sharedModules = [
+  'csv-parser.js',
+  'tax-code-registry.js'
+];
+
+// Shared modules whose vat-calculator-pro copy is missing or differs
+function findStaleModules() {
+  return sharedModules.filter(name => {
+    const target = path.join(targetDir, name);
+    return !fs.existsSync(target) ||
+      !fs.readFileSync(target).equals(fs.readFileSync(path.join(sourceDir, name)));
+  });
+}
+
+function syncSharedModules() {
+  const stale = findStaleModules();
+  stale.forEach(name => {
+    const target = path.join(targetDir, name);
+    // Replace rather than write through, in case the target is a link
+    fs.rmSync(target, { force: true });
+    fs.copyFileSync(path.join(sourceDir, name), target);
+    console.log(`✅ Copied ${name} to vat-calculator-pro/assets/js`);
+  });
+  return stale;
+}
+
+if (require.main === module) {
+  try {
+    if (process.argv.includes('--check')) {
+      const stale = findStaleModules();
+      if (stale.length > 0) {
+        console.error(`❌ Out of date in vat-calculator-pro: ${stale.join(', ')} (run npm run sync:shared)`);
+        process.exit(1);
+      }
+      console.log('✅ vat-calculator-pro shared modules are up to date');
+    } else if (syncSharedModules().length === 0) {
+      console.log('✅ vat-calculator-pro shared modules are up to date');
+    }
+  } catch (error) {
+    console.error('❌ Error syncing shared modules:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = { sharedModules, findStaleModules, syncSharedModules };
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line VAT calculator for batch processing
+ *
+ *   vat-calc run files/*.xlsx --period 2025-02 --out reports/
+ *
+ * Writes the summary JSON, the comprehensive Excel workbook and the VAT201
+ * return (JSON and CSV) per file, prints a consolidated table and exits
+ * with 1 when any file fails validation (2 for usage errors).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const VatEngine = require('../assets/js/vat-engine-core.js');
+const ComprehensiveWorkbook = require('../assets/js/comprehensive-workbook.js');
+const Vat201Builder = require('../assets/js/vat201-builder.js');
+
+const USAGE = `Usage: vat-calc run <files...> [options]
+
+Options:
+  --period <YYYY-MM|auto>  Return period (end month), or auto-detect per file
+  --category <A|B|C|D>     SARS VAT category for the period (default B)
+  --sheets <a,b>           Worksheets to consolidate (default: first sheet)
+  --group-by <column>      Entity column, e.g. Company
+  --out <dir>              Output directory (default: reports)
+  --help                   Show this help`;
+
+const OPTIONS = {
+  '--period': 'period',
+  '--category': 'category',
+  '--sheets': 'sheets',
+  '--group-by': 'groupBy',
+  '--out': 'out'
+};
+
+function parseArgs(argv) {
+  const args = { command: argv[0], files: [], out: 'reports', category: 'B', period: '', sheets: '', groupBy: '' };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (OPTIONS[arg]) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      args[OPTIONS[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      args.files.push(...expandPattern(arg));
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Expand * and ? in the file name part (shells on Windows do not)
+ */
+function expandPattern(pattern) {
+  const base = path.basename(pattern);
+  if (!/[*?]/.test(base)) {
+    return [pattern];
+  }
+
+  const dir = path.dirname(pattern);
+  const source = base.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  const regex = new RegExp(`^${source}$`, 'i');
+  const matches = fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => regex.test(name)).sort() : [];
+  return matches.map(name => path.join(dir, name));
+}
+
+/**
+ * Calculation result without the row-level arrays, for the summary JSON
+ */
+function summarize(results, file, period) {
+  const taxCodes = {};
+  Object.entries(results.taxCodeBreakdown).forEach(([code, breakdown]) => {
+    if (breakdown.input.count > 0 || breakdown.output.count > 0) {
+      const side = ({ count, vatAmount, exclAmount }) => ({
+        count,
+        vatAmount: parseFloat(vatAmount.toFixed(2)),
+        exclAmount: parseFloat(exclAmount.toFixed(2))
+      });
+      taxCodes[code] = {
+        description: breakdown.description,
+        input: side(breakdown.input),
+        output: side(breakdown.output)
+      };
+    }
+  });
+
+  const entities = results.entities;
+  return {
+    sourceFile: path.basename(file),
+    generatedAt: new Date().toISOString(),
+    period: period ? { key: period.key, category: period.category, label: period.label } : null,
+    transactionCount: results.transactions.length,
+    totalOutputVAT: results.totalOutputVAT,
+    totalInputVAT: results.totalInputVAT,
+    vatPayable: results.vatPayable,
+    salesExcludingVAT: results.salesExcludingVAT,
+    salesIncludingVAT: results.salesIncludingVAT,
+    zeroRatedSales: results.zeroRatedSales,
+    taxCodes,
+    sheetSubtotals: results.sheetSubtotals,
+    skippedRows: results.skippedRows.summary,
+    reconciliation: results.reconciliation.summary,
+    outOfPeriod: results.periodCheck
+      ? { count: results.periodCheck.outOfPeriod.count, vatPayable: results.periodCheck.outOfPeriod.vatPayable }
+      : null,
+    entities: entities
+      ? entities.names.map(name => ({ name, vatPayable: entities.byEntity[name].vatPayable,
+        transactionCount: entities.byEntity[name].transactionCount }))
+      : null
+  };
+}
+
+/**
+ * Calculate one file and write its reports. Returns a row for the table.
+ */
+function processFile(file, args, engine, workbookBuilder, vat201Builder) {
+  const filename = path.basename(file);
+  const { rows, results } = engine.run(fs.readFileSync(file), {
+    filename,
+    period: args.period,
+    periodCategory: args.category,
+    sheetNames: args.sheets ? args.sheets.split(',').map(name => name.trim()) : undefined,
+    groupBy: args.groupBy
+  });
+
+  const period = results.periodCheck ? results.periodCheck.period : null;
+  const baseName = path.join(args.out, filename.replace(/\.[^.]+$/, ''));
+  const vat201 = vat201Builder.build(results, { registry: engine.registry });
+
+  fs.writeFileSync(`${baseName}.summary.json`, JSON.stringify(summarize(results, file, period), null, 2));
+  XLSX.writeFile(workbookBuilder.build(results, { filename }), `${baseName}.xlsx`);
+  fs.writeFileSync(`${baseName}.vat201.json`, vat201Builder.toJSON(vat201, { sourceFile: filename }));
+  fs.writeFileSync(`${baseName}.vat201.csv`, vat201Builder.toCSV(vat201));
+
+  return {
+    file: filename,
+    rows: rows.length,
+    period: period ? period.key : 'all',
+    outputVAT: results.totalOutputVAT,
+    inputVAT: results.totalInputVAT,
+    vatPayable: results.vatPayable,
+    skipped: results.skippedRows.summary.count,
+    status: 'OK'
+  };
+}
+
+function formatAmount(value) {
+  if (value === '') {
+    return '';
+  }
+  return Number(value).toLocaleString('en-ZA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Consolidated table with a total line over the files that succeeded
+ */
+function printTable(rows) {
+  const columns = [
+    { key: 'file', title: 'File' },
+    { key: 'rows', title: 'Rows', right: true },
+    { key: 'period', title: 'Period' },
+    { key: 'outputVAT', title: 'Output VAT', right: true, amount: true },
+    { key: 'inputVAT', title: 'Input VAT', right: true, amount: true },
+    { key: 'vatPayable', title: 'VAT Payable', right: true, amount: true },
+    { key: 'skipped', title: 'Skipped', right: true },
+    { key: 'status', title: 'Status' }
+  ];
+
+  const ok = rows.filter(row => row.status === 'OK');
+  const sum = key => parseFloat(ok.reduce((total, row) => total + row[key], 0).toFixed(2));
+  const total = {
+    file: `TOTAL (${ok.length} of ${rows.length} files)`,
+    rows: ok.reduce((count, row) => count + row.rows, 0),
+    period: '',
+    outputVAT: sum('outputVAT'),
+    inputVAT: sum('inputVAT'),
+    vatPayable: sum('vatPayable'),
+    skipped: ok.reduce((count, row) => count + row.skipped, 0),
+    status: ''
+  };
+
+  const cells = [...rows, total].map(row => columns.map(column =>
+    (column.amount ? formatAmount(row[column.key]) : String(row[column.key]))));
+  const widths = columns.map((column, index) =>
+    Math.max(column.title.length, ...cells.map(line => line[index].length)));
+  const format = line => line.map((cell, index) =>
+    (columns[index].right ? cell.padStart(widths[index]) : cell.padEnd(widths[index]))).join('  ');
+  const rule = widths.map(width => '-'.repeat(width)).join('  ');
+
+  console.log(format(columns.map(column => column.title)));
+  console.log(rule);
+  cells.slice(0, -1).forEach(line => console.log(format(line)));
+  console.log(rule);
+  console.log(format(cells[cells.length - 1]));
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (args.command !== 'run' || args.files.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  fs.mkdirSync(args.out, { recursive: true });
+  const engine = new VatEngine();
+  const workbookBuilder = new ComprehensiveWorkbook({ XLSX, registry: engine.registry });
+  const vat201Builder = new Vat201Builder();
+
+  const rows = args.files.map(file => {
+    try {
+      return processFile(file, args, engine, workbookBuilder, vat201Builder);
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      return { file: path.basename(file), rows: 0, period: '', outputVAT: '', inputVAT: '', vatPayable: '', skipped: '',
+        status: 'FAILED' };
+    }
+  });
+
+  console.log('');
+  printTable(rows);
+  console.log(`\nReports written to ${path.resolve(args.out)}`);
+
+  return rows.some(row => row.status !== 'OK') ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, expandPattern };
@@ -12,6 +12,28 @@ const STATIC_ASSETS = [
   '/assets/css/responsive.css',
   '/assets/js/app.js',
   '/assets/js/vat-engine.js',
+  '/assets/js/tax-code-registry.js',
+  '/assets/js/csv-parser.js',
+  '/assets/js/column-mapper.js',
+  '/assets/js/sheet-selector.js',
+  '/assets/js/vat201-builder.js',
+  '/assets/js/vat-reconciler.js',
+  '/assets/js/skipped-row-report.js',
+  '/assets/js/duplicate-detector.js',
+  '/assets/js/tax-period.js',
+  '/assets/js/entity-grouper.js',
+  '/assets/js/counterparty-parser.js',
+  '/assets/js/manual-adjustments.js',
+  '/assets/js/audit-trail.js',
+  '/assets/js/review-workflow.js',
+  '/assets/js/vat-engine-core.js',
+  '/assets/js/vat-worker-client.js',
+  '/assets/js/vat-worker.js',
+  '/assets/js/processing-checkpoint.js',
+  '/assets/js/calculation-archive.js',
+  '/assets/js/calculation-comparison.js',
+  '/assets/js/transaction-grid.js',
+  '/assets/js/comprehensive-workbook.js',
   '/assets/js/file-processor.js',
   '/assets/js/ui-components.js',
   '/assets/js/error-handler.js',
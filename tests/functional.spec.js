@@ -57,6 +57,636 @@ test.describe('VAT Calculator Pro - Core Functionality', () => {
     await expect(page.locator('.error-message')).toBeVisible();
   });
 
+  test('should accept CSV ledger exports', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    await page.setInputFiles('#file-input', 'tests/sample-data/CSSA Jan-Feb 2025.csv');
+
+    await expect(page.locator('#file-status')).toHaveClass(/success/);
+    await expect(page.locator('#process-btn')).toBeEnabled();
+  });
+
+  test('should show column mapping for non-standard headers', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    await page.setInputFiles('#file-input', {
+      name: 'custom-headers.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from('Doc Type,VAT Code,VAT Desc,VAT Rate,VAT Amount,Net Amount,Gross Amount\nINV,1,Standard,15,15,100,115\n')
+    });
+    await page.click('#process-btn');
+
+    await expect(page.locator('#mapping-page')).toBeVisible();
+    await expect(page.locator('#map-TaxAmount')).toHaveValue('VAT Amount');
+    await expect(page.locator('#mapping-preview')).toContainText('115');
+  });
+
+  test('should list worksheets with row counts for multi-sheet workbooks', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    const workbookBytes = await page.evaluate(() => {
+      const headers = ['TaxCode', 'TaxDescription', 'TrCode', 'TaxRate', 'TaxAmount', 'ExclAmount', 'InclAmount'];
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([headers, [1, 'Standard', 'INV', 15, 15, 100, 115]]), 'Branch A');
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+        headers, [1, 'Standard', 'INV', 15, 30, 200, 230], [1, 'Standard', 'SINV', 15, 3, 20, 23]
+      ]), 'Branch B');
+      return Array.from(XLSX.write(wb, { type: 'array', bookType: 'xlsx' }));
+    });
+
+    await page.setInputFiles('#file-input', {
+      name: 'branches.xlsx',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      buffer: Buffer.from(workbookBytes)
+    });
+
+    await expect(page.locator('#sheet-selection')).toBeVisible();
+    await expect(page.locator('#sheet-selection .sheet-option')).toHaveCount(2);
+    await expect(page.locator('#sheet-selection')).toContainText('2 rows');
+  });
+
+  test('should flag rows whose TaxRate differs from the rate in force on TxDate', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    await page.setInputFiles('#file-input', {
+      name: 'rate-change.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TxDate,TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount',
+        '2018/03/28,1,Standard,INV,14,14,100,114',
+        '2018/04/03,1,Standard,INV,14,14,100,114',
+        '2018/04/05,1,Standard,SINV,15,3,20,23'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+    await expect(page.locator('#rate-check')).toContainText('straddle a VAT rate change');
+    await expect(page.locator('#rate-check')).toContainText('1 transaction carries a TaxRate');
+  });
+
+  test('should report rows dated outside the selected VAT period', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    await page.selectOption('#vat-category', 'C');
+    await page.selectOption('#vat-period', 'auto');
+    await page.setInputFiles('#file-input', {
+      name: 'period.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TxDate,TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount,Reference',
+        '2025/02/01 00:00,1,Standard,INV,15,15,100,115,FEB-1',
+        '2025/02/14 00:00,1,Standard,INV,15,30,200,230,FEB-2',
+        '2025/01/31 00:00,1,Standard,INV,15,3,20,23,JAN-1'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+
+    const periodCheck = page.locator('#period-check');
+    await expect(periodCheck).toContainText('VAT Period: Feb 2025', { timeout: 15000 });
+    await expect(periodCheck).toContainText('1 row is dated outside this period');
+    await expect(periodCheck).toContainText('JAN-1');
+    await expect(page.locator('#total-output-vat')).toContainText('45');
+  });
+
+  test('should split results by the Company column', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    await page.setInputFiles('#file-input', {
+      name: 'companies.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount,Company',
+        '1,Standard,INV,15,15,100,115,CSSA',
+        '1,Standard,INV,15,30,200,230,CSSB',
+        '1,Standard,SINV,15,3,20,23,CSSA'
+      ].join('\n'))
+    });
+    await page.selectOption('#entity-column', 'Company');
+    await page.click('#process-btn');
+
+    const entities = page.locator('#entity-results');
+    await expect(entities).toContainText('VAT by Company', { timeout: 15000 });
+    await expect(entities).toContainText('CSSA');
+    await expect(entities).toContainText('CSSB');
+    await expect(page.locator('#total-output-vat')).toContainText('45');
+  });
+
+  test('should list rows that do not reconcile', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    await page.setInputFiles('#file-input', {
+      name: 'reconciliation.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount,Reference',
+        '1,Standard,INV,15,15,100,115,OK-1',
+        '1,Standard,INV,15,16,100,116,BAD-VAT',
+        '1,Standard,INV,15,15,100,120,BAD-INCL'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+
+    const reconciliation = page.locator('#reconciliation');
+    await expect(reconciliation).toContainText('2 with exceptions', { timeout: 15000 });
+    await expect(reconciliation).toContainText('BAD-VAT');
+    await expect(reconciliation).toContainText('BAD-INCL');
+    await expect(reconciliation).not.toContainText('OK-1');
+  });
+
+  test('should report rows excluded from the VAT figures', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    await page.setInputFiles('#file-input', {
+      name: 'skipped.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount,Reference',
+        '1,Standard,INV,15,15,100,115,OK-1',
+        '99,Unknown,INV,15,30,200,230,BAD-CODE',
+        '1,Standard,ZZZ,15,7.5,50,57.5,BAD-TRCODE'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+
+    const banner = page.locator('#skipped-rows-banner');
+    await expect(banner).toContainText('2 rows were excluded', { timeout: 15000 });
+    await expect(banner).toContainText(/R 37[.,]50/);
+
+    const downloadPromise = page.waitForEvent('download');
+    await banner.locator('text=Download excluded rows').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toMatch(/VAT_Excluded_Rows_.*\.xlsx/);
+  });
+
+  test('should calculate in the worker exactly like the main-thread engine', async ({ page }) => {
+    const outcome = await page.evaluate(async () => {
+      const response = await fetch('/tests/sample-data/basic-vat-sample.csv');
+      const bytes = await response.arrayBuffer();
+      const expected = window.vatEngine.run(bytes.slice(0), { filename: 'basic-vat-sample.csv' }).results;
+
+      const stages = new Set();
+      const onProgress = stage => stages.add(stage);
+      const workbook = await window.vatWorker.readWorkbook(bytes.slice(0), 'basic-vat-sample.csv');
+      const skippedRows = [];
+      const rows = await window.vatWorker.validate(workbook, { skippedRows, onProgress });
+      const results = await window.vatWorker.calculate(rows, { skippedRows, onProgress });
+
+      const cancelled = window.vatWorker.calculate(rows).catch(error => error.cancelled === true);
+      window.vatWorker.cancel();
+
+      return {
+        same: JSON.stringify(results) === JSON.stringify(expected),
+        vatPayable: results.vatPayable,
+        stages: [...stages],
+        cancelled: await cancelled
+      };
+    });
+
+    expect(outcome.same).toBe(true);
+    expect(outcome.vatPayable).toBe(1605);
+    expect(outcome.stages).toEqual(['validate', 'calculate']);
+    expect(outcome.cancelled).toBe(true);
+  });
+
+  test('should review duplicate rows before calculating', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    await page.setInputFiles('#file-input', {
+      name: 'duplicates.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TxDate,TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount,Reference,cAuditNumber',
+        '2025/02/03,1,Standard,PINV,15,15,100,115,SUP-1,100',
+        '2025/02/03,1,Standard,PINV,15,15,100,115,SUP-1,100',
+        '2025/02/04,1,Standard,PINV,15,15,100,115,SUP-1,207',
+        '2025/02/05,1,Standard,INV,15,30,200,230,INV-9,101'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+
+    await expect(page.locator('#duplicates-page')).toBeVisible({ timeout: 15000 });
+    await expect(page.locator('#duplicate-summary')).toContainText('2 possible duplicates (1 exact, 1 near');
+    await page.click('#duplicate-continue-btn');
+
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+    await expect(page.locator('#skipped-rows-banner')).toContainText('1 row was excluded');
+  });
+
+  test('should not flag a re-processed file and include rows matching earlier files', async ({ page }) => {
+    const headers = 'TxDate,TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount,' +
+      'Reference,cAuditNumber';
+    const january = [headers, '2025/01/10,1,Standard,INV,15,30,200,230,INV-1,100'];
+    const upload = async (name, lines) => {
+      await page.goto('/#/upload');
+      await page.setInputFiles('#file-input', { name, mimeType: 'text/csv', buffer: Buffer.from(lines.join('\n')) });
+      await page.click('#process-btn');
+    };
+
+    // The same file again is a recalculation, not a duplicate of itself
+    await upload('january.csv', january);
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+    await upload('january.csv', january);
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+
+    // A different file repeating a processed row: flagged, but included
+    await upload('january-extra.csv', [...january, '2025/01/11,1,Standard,INV,15,15,100,115,INV-2,101']);
+    await expect(page.locator('#duplicates-page')).toBeVisible({ timeout: 15000 });
+    await expect(page.locator('#duplicate-summary')).toContainText('1 already processed in earlier files');
+    await expect(page.locator('#duplicate-summary')).toContainText('0 will be excluded');
+    await page.click('#duplicate-continue-btn');
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+    expect(await page.evaluate('processedData.vatPayable')).toBe(45);
+  });
+
+  test('should cancel processing and resume a run interrupted by a reload', async ({ page }) => {
+    await page.click('text=Start Calculating');
+    await page.setInputFiles('#file-input', {
+      name: 'duplicates.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TxDate,TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount,Reference,cAuditNumber',
+        '2025/02/03,1,Standard,PINV,15,15,100,115,SUP-1,100',
+        '2025/02/03,1,Standard,PINV,15,15,100,115,SUP-1,100',
+        '2025/02/05,1,Standard,INV,15,30,200,230,INV-9,101'
+      ].join('\n'))
+    });
+
+    // Cancelled before validation: back to the upload page with nothing to resume
+    await page.evaluate(() => {
+      const run = window.processFile();
+      window.cancelProcessing();
+      return run;
+    });
+    await expect(page.locator('#upload-page')).toBeVisible();
+    expect(await page.evaluate(() => window.processingCheckpoint.load())).toBeNull();
+
+    // Reload while the run waits for duplicate review, then pick it up again
+    await page.click('#process-btn');
+    await expect(page.locator('#duplicates-page')).toBeVisible({ timeout: 15000 });
+    await page.reload();
+    await page.waitForLoadState('networkidle');
+
+    await expect(page.locator('#upload-page')).toBeVisible();
+    await expect(page.locator('#resume-banner')).toContainText('Unfinished calculation of "duplicates.csv"');
+    await page.click('#resume-processing-btn');
+    await expect(page.locator('#duplicates-page')).toBeVisible({ timeout: 15000 });
+    await page.click('#duplicate-continue-btn');
+
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+    await expect(page.locator('#skipped-rows-banner')).toContainText('1 row was excluded');
+    expect(await page.evaluate(() => window.processingCheckpoint.load())).toBeNull();
+  });
+
+  test('should archive calculations in IndexedDB and move localStorage history in', async ({ page }) => {
+    await page.evaluate(() => localStorage.setItem('vatCalculatorHistory', JSON.stringify([{
+      id: 1, timestamp: new Date().toISOString(), filename: 'earlier.xlsx',
+      totalInputVAT: 10, totalOutputVAT: 30, vatPayable: 20, transactionCount: 2
+    }])));
+    await page.reload();
+    await page.waitForLoadState('networkidle');
+
+    await page.click('text=Start Calculating');
+    await page.setInputFiles('#file-input', 'tests/sample-data/basic-vat-sample.csv');
+    await page.click('#process-btn');
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+
+    const archivedFiles = () => page.evaluate(async () => {
+      return (await window.calculationArchive.list()).map(entry => entry.filename);
+    });
+    await expect.poll(archivedFiles).toEqual(['basic-vat-sample.csv', 'earlier.xlsx']);
+    const archived = await page.evaluate(async () => {
+      const [latest, earlier] = await window.calculationArchive.list();
+      const detail = await window.calculationArchive.get(latest.id);
+      return {
+        legacy: localStorage.getItem('vatCalculatorHistory'),
+        earlier: earlier.detailStored,
+        vatPayable: detail.results.vatPayable,
+        rows: detail.rows.length === detail.results.transactionCount,
+        hash: detail.fileHash.algorithm,
+        registry: Boolean(detail.settings.registry)
+      };
+    });
+
+    expect(archived).toEqual({
+      legacy: null, earlier: false, vatPayable: 1605, rows: true, hash: 'SHA-256', registry: true
+    });
+  });
+
+  test('should keep locked calculations when the archive is pruned or storage is full', async ({ page }) => {
+    const outcome = await page.evaluate(async () => {
+      const archive = new window.calculationArchive.constructor({ dbName: 'vatCalculatorArchiveLockTest' });
+      const timestamp = new Date(2000, 0, 1).toISOString();
+      const detail = { results: { vatPayable: 20 }, rows: [], settings: null };
+      await archive.add({ id: 1, timestamp, filename: 'filed.csv', review: { state: 'locked', signOffs: {} } }, detail);
+      await archive.add({ id: 2, timestamp, filename: 'draft.csv', review: { state: 'draft', signOffs: {} } }, detail);
+      const pruned = await archive.prune(12);
+
+      // Storage full when calculation 3 is archived: only the locked detail could make room
+      const run = archive.run.bind(archive);
+      let full = true;
+      archive.run = (storeNames, mode, action) => {
+        if (full && mode === 'readwrite') {
+          full = false;
+          return Promise.reject(new DOMException('Quota exceeded', 'QuotaExceededError'));
+        }
+        return run(storeNames, mode, action);
+      };
+      const added = await archive.add({ id: 3, timestamp: new Date().toISOString(), filename: 'new.csv' }, detail);
+      const locked = await archive.get(1);
+      return {
+        pruned,
+        kept: (await archive.list()).map(entry => entry.id),
+        lockedDetail: Boolean(locked) && locked.detailStored && locked.results.vatPayable,
+        addedDetail: added.detailStored
+      };
+    });
+
+    expect(outcome).toEqual({ pruned: [2], kept: [3, 1], lockedDetail: 20, addedDetail: false });
+  });
+
+  test('should re-open and re-export a calculation from history', async ({ page }) => {
+    await page.click('text=Start Calculating');
+    await page.setInputFiles('#file-input', 'tests/sample-data/basic-vat-sample.csv');
+    await page.click('#process-btn');
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+    const vatPayable = await page.locator('#vat-payable-amount').textContent();
+
+    await page.click('.nav-link[data-page="history"]');
+    const entry = page.locator('#history-list .history-item').first();
+    await expect(entry).toContainText('basic-vat-sample.csv');
+
+    await entry.locator('button[title="Open Results"]').click();
+    await expect(page.locator('#results-page')).toBeVisible();
+    await expect(page.locator('#archive-banner')).toContainText('Archived calculation of "basic-vat-sample.csv"');
+    await expect(page.locator('#vat-payable-amount')).toHaveText(vatPayable);
+
+    await page.click('.nav-link[data-page="history"]');
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      entry.locator('button[title="Export Complete Excel Analysis"]').click()
+    ]);
+    expect(download.suggestedFilename()).toMatch(/^VAT_Comprehensive_Analysis_basic-vat-sample\.csv_/);
+  });
+
+  test('should drill down from a breakdown figure to all of its transactions', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    const sales = [1, 2, 3, 4, 5, 6, 7].map(n => `1,Standard,INV,15,${n * 15},${n * 100},${n * 115},INV-00${n}`);
+    await page.setInputFiles('#file-input', {
+      name: 'drill-down.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount,Reference',
+        ...sales,
+        '1,Standard,SINV,15,3,20,23,SUP-001'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+
+    const section = page.locator('.breakdown-section', { hasText: 'Tax Code 1:' });
+    await expect(section.locator('.output-section .transaction-table tbody tr')).toHaveCount(5);
+    await section.locator('.output-section .stat-row-link', { hasText: 'VAT Amount' }).click();
+
+    const grid = page.locator('.transaction-grid-modal');
+    await expect(grid).toBeVisible();
+    await expect(grid.locator('.transaction-grid-body .transaction-grid-row')).toHaveCount(7);
+    await expect(grid.locator('.transaction-grid-body .transaction-grid-row').first()).toContainText('INV-007');
+
+    await grid.locator('#transaction-grid-search').fill('INV-003');
+    await expect(grid.locator('#transaction-grid-count')).toContainText('1 of 7 rows');
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      grid.locator('#transaction-grid-export').click()
+    ]);
+    expect(download.suggestedFilename()).toMatch(/^VAT_Transactions_Tax_Code_1_.*Output_VAT_.*\.xlsx$/);
+  });
+
+  test('should break VAT down by counterparty and month', async ({ page }) => {
+    await page.click('text=Start Calculating');
+
+    await page.setInputFiles('#file-input', {
+      name: 'counterparties.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount,TxDate,TrnDescription',
+        '1,Standard,INV,15,15,100,115,2025-01-10,CAPITEC 9411120285085',
+        '1,Standard,INV,15,30,200,230,2025-02-12,Capitec 9411120285093',
+        '1,Standard,SINV,15,3,20,23,2025-02-14,ESKOM (03/01-01/02)'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+
+    await page.click('.breakdown-tab[data-tab="counterparty"]');
+    const counterparties = page.locator('#breakdown-counterparty tbody tr');
+    await expect(counterparties).toHaveCount(2);
+    await expect(counterparties.first()).toContainText('CAPITEC');
+    await expect(counterparties.first()).toContainText('45');
+    await expect(counterparties.nth(1)).toContainText('ESKOM');
+    await expect(page.locator('#breakdown-sections')).toBeHidden();
+
+    await page.click('.breakdown-tab[data-tab="month"]');
+    await expect(page.locator('#breakdown-month tbody tr')).toHaveCount(2);
+    await expect(page.locator('#breakdown-month tbody tr').first()).toContainText('Jan 2025');
+  });
+
+  test('should apply a manual adjustment and keep it with the history entry', async ({ page }) => {
+    await page.click('text=Start Calculating');
+    await page.setInputFiles('#file-input', {
+      name: 'adjusted.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount',
+        '1,Standard,INV,15,15,100,115',
+        '1,Standard,SINV,15,3,20,23'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+    await expect(page.locator('#vat-payable-amount')).toHaveText(/12[,.]00/);
+
+    // A blank VAT amount is calculated at the tax code's rate
+    const form = page.locator('#adjustments-panel .adjustment-form');
+    await form.locator('[name="taxCode"]').selectOption('1');
+    await form.locator('[name="direction"]').selectOption('output');
+    await form.locator('[name="exclAmount"]').fill('1000');
+    await form.locator('[name="reason"]').fill('Late invoice INV-1042');
+    await form.locator('[name="author"]').fill('Preparer');
+    await form.locator('button[type="submit"]').click();
+
+    await expect(page.locator('#vat-payable-amount')).toHaveText(/162[,.]00/);
+    await expect(page.locator('#adjustments-panel .adjustments-table tbody tr')).toHaveCount(1);
+    await expect(page.locator('#adjustments-panel .adjustments-effect')).toContainText(/12[,.]00/);
+    // The tax code breakdown keeps the ledger rows only
+    await expect(page.locator('.breakdown-section', { hasText: 'Tax Code 1:' }).locator('.output-section'))
+      .toContainText(/15[,.]00/);
+
+    await page.click('.nav-link[data-page="history"]');
+    const entry = page.locator('#history-list .history-item').first();
+    await expect(entry).toContainText('1 adjustment');
+    await expect(page.locator('#history-list .history-item')).toHaveCount(1);
+
+    await entry.locator('button[title="Open Results"]').click();
+    await expect(page.locator('#vat-payable-amount')).toHaveText(/162[,.]00/);
+    await expect(page.locator('#adjustments-panel .adjustments-table')).toContainText('Late invoice INV-1042');
+  });
+
+  test('should keep an audit record of the calculation on the history page', async ({ page }) => {
+    await page.click('text=Start Calculating');
+    await page.setInputFiles('#file-input', {
+      name: 'audited.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount',
+        '1,Standard,INV,15,15,100,115',
+        '1,Standard,SINV,15,3,20,23'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+
+    await page.click('.nav-link[data-page="history"]');
+    await page.locator('#history-list .history-item').first().locator('button[title="Audit Trail"]').click();
+
+    const audit = page.locator('#audit-trail');
+    await expect(audit).toBeVisible();
+    await expect(audit.locator('.audit-status')).toContainText('unchanged since recorded');
+    await expect(audit.locator('.audit-record')).toHaveCount(1);
+    await expect(audit.locator('.audit-record')).toContainText('audited.csv');
+    await expect(audit.locator('.audit-record')).toContainText('(SHA-256)');
+    await expect(audit.locator('.audit-record')).toContainText('2 accepted of 2');
+  });
+
+  test('should take a calculation through review to locked', async ({ page }) => {
+    await page.click('text=Start Calculating');
+    await page.setInputFiles('#file-input', {
+      name: 'reviewed.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount',
+        '1,Standard,INV,15,15,100,115',
+        '1,Standard,SINV,15,3,20,23'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+
+    const panel = page.locator('#review-panel');
+    await expect(panel.locator('.review-badge')).toHaveText(/Draft/);
+    await panel.locator('[name="by"]').fill('Preparer');
+    await panel.locator('button', { hasText: 'Mark as Prepared' }).click();
+    await expect(panel.locator('.review-badge')).toHaveText(/Prepared/);
+
+    // The reviewer must be someone else
+    await panel.locator('[name="by"]').fill('Preparer');
+    await panel.locator('button', { hasText: 'Sign Off as Reviewed' }).click();
+    await expect(panel.locator('#review-error')).toContainText('someone other than the preparer');
+
+    const notes = page.locator('.breakdown-section', { hasText: 'Tax Code 1:' }).locator('.review-notes');
+    await notes.locator('[name="text"]').fill('Agreed to the sales journal');
+    await notes.locator('[name="author"]').fill('Reviewer');
+    await notes.locator('button[type="submit"]').click();
+    await expect(page.locator('.breakdown-section', { hasText: 'Tax Code 1:' }).locator('.review-notes'))
+      .toContainText('Agreed to the sales journal');
+
+    await panel.locator('[name="by"]').fill('Reviewer');
+    await panel.locator('button', { hasText: 'Sign Off as Reviewed' }).click();
+    await expect(panel).toContainText('Reviewed by Reviewer');
+
+    page.once('dialog', dialog => dialog.accept());
+    await panel.locator('[name="by"]').fill('Reviewer');
+    await panel.locator('button', { hasText: 'Lock for Filing' }).click();
+    await expect(panel.locator('.review-badge')).toHaveText(/Locked/);
+    // Locked calculations cannot be adjusted
+    await expect(page.locator('#adjustments-panel .adjustment-form')).toHaveCount(0);
+
+    await page.click('.nav-link[data-page="history"]');
+    await expect(page.locator('#history-list .history-item').first()).toContainText('Locked');
+  });
+
+  test('should keep a locked calculation when it is deleted or history is cleared', async ({ page }) => {
+    await page.click('text=Start Calculating');
+    await page.setInputFiles('#file-input', {
+      name: 'filed.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount',
+        '1,Standard,INV,15,15,100,115'
+      ].join('\n'))
+    });
+    await page.click('#process-btn');
+    await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+
+    const panel = page.locator('#review-panel');
+    page.on('dialog', dialog => dialog.accept());
+    await panel.locator('[name="by"]').fill('Preparer');
+    await panel.locator('button', { hasText: 'Mark as Prepared' }).click();
+    await panel.locator('[name="by"]').fill('Reviewer');
+    await panel.locator('button', { hasText: 'Sign Off as Reviewed' }).click();
+    await panel.locator('[name="by"]').fill('Reviewer');
+    await panel.locator('button', { hasText: 'Lock for Filing' }).click();
+    await expect(panel.locator('.review-badge')).toHaveText(/Locked/);
+
+    await page.click('.nav-link[data-page="history"]');
+    const entries = page.locator('#history-list .history-item');
+    await entries.first().locator('button[title="Delete"]').click();
+    await expect(entries).toHaveCount(1);
+    await expect(entries.first()).toContainText('filed.csv');
+
+    expect(await page.evaluate('historyManager.clearHistory()')).toBe(1);
+    await expect(entries).toHaveCount(1);
+  });
+
+  test('should compare calculations and highlight large swings', async ({ page }) => {
+    const headers = 'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount';
+    const ledgers = [
+      ['january.csv', [headers, '1,Standard,INV,15,15,100,115', '1,Standard,SINV,15,3,20,23'].join('\n')],
+      ['february.csv', [headers, '1,Standard,INV,15,1500,10000,11500', '1,Standard,SINV,15,3.15,21,24.15'].join('\n')]
+    ];
+
+    for (const [name, content] of ledgers) {
+      await page.goto('/#/upload');
+      await page.setInputFiles('#file-input', { name, mimeType: 'text/csv', buffer: Buffer.from(content) });
+      await page.click('#process-btn');
+      await expect(page.locator('#results-page')).toBeVisible({ timeout: 15000 });
+    }
+
+    await page.click('.nav-link[data-page="history"]');
+    await page.click('text=Compare Calculations');
+    await expect(page.locator('#comparison-selection .comparison-option')).toHaveCount(2);
+    await page.locator('#comparison-selection input').first().check();
+    await page.locator('#comparison-selection input').last().check();
+    await page.click('#comparison-page button:has-text("Compare")');
+
+    const results = page.locator('#comparison-results');
+    await expect(results).toContainText('VAT by TrCode');
+    await expect(results.locator('tr', { hasText: 'INV (output)' }).locator('.comparison-swing'))
+      .toContainText(/\+R 1\s?485[.,]00/);
+    await expect(results.locator('tr', { hasText: 'SINV (input)' }).locator('.comparison-swing')).toHaveCount(0);
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.click('#comparison-excel-btn')
+    ]);
+    expect(download.suggestedFilename()).toMatch(/^VAT_Comparison_.*\.xlsx$/);
+  });
+
+  test('should edit the tax code registry from settings', async ({ page }) => {
+    await page.goto('/#/settings');
+    await expect(page.locator('#registry-tax-codes')).toContainText('Standard Rate (15%)');
+
+    await page.fill('#new-tr-code', 'PINV');
+    await page.selectOption('#new-tr-direction', 'input');
+    await page.click('#registry-tr-codes ~ .registry-add button');
+
+    await expect(page.locator('#registry-tr-codes')).toContainText('PINV');
+    const direction = await page.evaluate(() => window.taxCodeRegistry.getDirection('PINV'));
+    expect(direction).toBe('input');
+  });
+
   test('should process sample VAT data', async ({ page }) => {
     await page.click('text=See Demo');
     await page.click('text=Load Sample Data');
@@ -71,6 +701,23 @@ test.describe('VAT Calculator Pro - Core Functionality', () => {
     await expect(page.locator('.total-output-vat')).toBeVisible();
   });
 
+  test('should show the pre-filled VAT201 return', async ({ page }) => {
+    await page.click('text=See Demo');
+    await page.click('text=Load Sample Data');
+
+    await page.waitForSelector('.results-summary', { timeout: 10000 });
+
+    const vat201 = page.locator('#vat201-return');
+    await expect(vat201).toContainText('SARS VAT201 Return');
+    await expect(vat201).toContainText('Total A: Total output tax');
+    await expect(vat201).toContainText('Total B: Total input tax');
+
+    const downloadPromise = page.waitForEvent('download');
+    await vat201.locator('text=CSV').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toMatch(/VAT201_.*\.csv/);
+  });
+
   test('should generate PDF export', async ({ page }) => {
     await page.click('text=See Demo');
     await page.click('text=Load Sample Data');
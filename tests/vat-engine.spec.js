@@ -0,0 +1,212 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync, existsSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import VatEngine from '../assets/js/vat-engine-core.js';
+import CalculationArchive from '../assets/js/calculation-archive.js';
+import Vat201Builder from '../assets/js/vat201-builder.js';
+import TaxCodeRegistry from '../assets/js/tax-code-registry.js';
+import { main as vatCalc } from '../scripts/vat-calc.js';
+import { sharedModules, findStaleModules } from '../scripts/sync-shared-modules.js';
+import { handler as calculateFunction, createEngine } from '../netlify/functions/calculate.js';
+
+test.describe('VAT Calculator Pro - Headless Engine', () => {
+  const sample = readFileSync('tests/sample-data/CSSA Jan-Feb 2025.csv');
+
+  test('should calculate a file without the page', () => {
+    const { rows, results } = new VatEngine().run(sample, { filename: 'CSSA Jan-Feb 2025.csv' });
+
+    expect(rows).toHaveLength(3452);
+    expect(results.vatPayable).toBe(1135709.02);
+    expect(results.sheetSubtotals['CSSA Jan-Feb 2025'].count).toBe(3452);
+    expect(results.skippedRows.summary.count).toBe(0);
+  });
+
+  test('should apply a return period and entity column', () => {
+    const { results } = new VatEngine().run(sample, {
+      filename: 'CSSA Jan-Feb 2025.csv',
+      period: '2025-01',
+      periodCategory: 'C',
+      groupBy: 'Company'
+    });
+
+    expect(results.periodCheck.period.label).toBe('Jan 2025');
+    expect(results.periodCheck.outOfPeriod.count).toBe(859);
+    expect(results.vatPayable).toBe(943773.63);
+    expect(results.entities.byEntity.CSSA.vatPayable).toBe(943773.63);
+  });
+
+  test('should stream a large file in batches with the same totals', () => {
+    const source = { size: sample.length, read: (start, end) => sample.subarray(start, end) };
+    const options = { filename: 'CSSA Jan-Feb 2025.csv', period: 'auto', periodCategory: 'C', groupBy: 'Company' };
+    const expected = new VatEngine().run(sample, options).results;
+    const stages = new Set();
+    const results = new VatEngine({ streamRowLimit: 500 }).runStream(source, {
+      ...options,
+      onProgress: stage => stages.add(stage)
+    });
+
+    expect([...stages]).toEqual(['scan', 'stream']);
+    expect(results.periodCheck.period.key).toBe(expected.periodCheck.period.key);
+    expect(results.vatPayable).toBe(expected.vatPayable);
+    expect(results.reconciliation.summary).toEqual(expected.reconciliation.summary);
+    expect(results.entities.byEntity.CSSA.vatPayable).toBe(expected.entities.byEntity.CSSA.vatPayable);
+    expect(results.transactionCount).toBe(3452);
+    expect(results.transactions).toHaveLength(500);
+  });
+
+  test('should cap row-level lists at the row limit when streaming', () => {
+    const repeat = (count, line) => Array.from({ length: count }, () => line);
+    const ledger = Buffer.from([
+      'TxDate,TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount',
+      // Old rate and an incl total that does not add up: a rate mismatch and a reconciliation exception
+      ...repeat(6, '2025/02/10,1,Standard,INV,14,14,100,120'),
+      ...repeat(5, '2025/01/10,1,Standard,INV,15,15,100,115'),
+      ...repeat(4, '2025/02/10,9,Unknown,INV,15,15,100,115'),
+      ...repeat(3, '2025/02/10,1,Standard,XYZ,15,15,100,115')
+    ].join('\n'));
+    const source = { size: ledger.length, read: (start, end) => ledger.subarray(start, end) };
+    const results = new VatEngine().runStream(source, {
+      filename: 'capped.csv', period: '2025-02', periodCategory: 'C', rowLimit: 2
+    });
+
+    const { outOfPeriod } = results.periodCheck;
+    expect([outOfPeriod.count, outOfPeriod.rows.length]).toEqual([5, 2]);
+    expect([results.rateCheck.mismatchCount, results.rateCheck.mismatches.length]).toEqual([6, 2]);
+    expect([results.reconciliation.summary.totalMismatchCount, results.reconciliation.exceptions.length])
+      .toEqual([6, 2]);
+    expect([results.skippedRows.summary.count, results.skippedRows.rows.length]).toEqual([7, 2]);
+    expect(results.skippedRows.summary.byReason.INVALID_TAX_CODE.count).toBe(4);
+    expect(results.skippedRows.summary.byReason.UNKNOWN_TR_CODE.count).toBe(3);
+    expect(results.transactions).toHaveLength(2);
+  });
+
+  test('should write reports for each file from the command line', () => {
+    const out = mkdtempSync(join(tmpdir(), 'vat-calc-'));
+    const exitCode = vatCalc(['run', 'tests/sample-data/*.csv', '--period', '2025-02', '--out', out]);
+
+    expect(exitCode).toBe(0);
+    ['summary.json', 'xlsx', 'vat201.json', 'vat201.csv'].forEach(extension => {
+      expect(existsSync(join(out, `CSSA Jan-Feb 2025.${extension}`))).toBe(true);
+    });
+    const summary = JSON.parse(readFileSync(join(out, 'CSSA Jan-Feb 2025.summary.json'), 'utf8'));
+    expect(summary.vatPayable).toBe(1135709.02);
+    expect(summary.period.label).toBe('Jan 2025 – Feb 2025');
+
+    expect(vatCalc(['run', 'tests/sample-data/README.md', '--out', out])).toBe(1);
+  });
+
+  test('should calculate an uploaded file through the calculate function', async () => {
+    const response = await calculateFunction({
+      httpMethod: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ filename: 'CSSA Jan-Feb 2025.csv', content: sample.toString('base64'), period: '2025-02' })
+    });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.validation.valid).toBe(true);
+    expect(body.validation.validatedRows).toBe(3452);
+    expect(body.results.vatPayable).toBe(1135709.02);
+    expect(body.results.transactions).toBeUndefined();
+
+    const invalid = await calculateFunction({
+      httpMethod: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ filename: 'ledger.csv', content: Buffer.from('Account,Amount\n100,5\n').toString('base64') })
+    });
+    expect(invalid.statusCode).toBe(422);
+    expect(JSON.parse(invalid.body).validation.errors[0]).toContain('Missing required columns');
+  });
+
+  test('should inject every engine dependency into the calculate function', () => {
+    const engine = createEngine();
+    const dependencies = Object.entries(Object.getOwnPropertyDescriptors(VatEngine.prototype))
+      .filter(([name, descriptor]) => descriptor.get && name !== 'xlsx')
+      .map(([name]) => name);
+
+    // Bundled, the function cannot reach the engine's require() fallback
+    expect(dependencies.length).toBeGreaterThan(0);
+    expect(dependencies.filter(name => !engine.config[name])).toEqual([]);
+    expect(engine.config.XLSX).toBeDefined();
+  });
+
+  test('should hash source files of any size to their sha256sum digest', async () => {
+    const content = readFileSync('tests/sample-data/CSSA Jan-Feb 2025.csv');
+    const expected = createHash('sha256').update(content).digest('hex');
+    const file = new Blob([content]);
+
+    // Read in one piece, and in slices that split the 64-byte blocks unevenly
+    const whole = await new CalculationArchive().hashFile(file);
+    const progress = [];
+    const sliced = await new CalculationArchive({ hashChunkSize: 1000 }).hashFile(file, done => progress.push(done));
+    expect(whole).toEqual({ algorithm: 'SHA-256', value: expected });
+    expect(sliced).toEqual({ algorithm: 'SHA-256', value: expected });
+    expect(progress.length).toBe(Math.ceil(file.size / 1000));
+    expect(progress[progress.length - 1]).toBe(file.size);
+
+    // Throwing from the callback stops the hash after that slice
+    let slices = 0;
+    const stopped = new CalculationArchive({ hashChunkSize: 1000 }).hashFile(file, () => {
+      slices++;
+      throw new Error('cancelled');
+    });
+    await expect(stopped).rejects.toThrow('cancelled');
+    expect(slices).toBe(1);
+  });
+
+  test('should never report a negative VAT201 field 2', () => {
+    const results = {
+      vatPayable: 0,
+      taxCodeBreakdown: {
+        3: { category: 'zero', output: { count: 1, vatAmount: 0, exclAmount: 1000, transactions: [] } }
+      }
+    };
+    const builder = new Vat201Builder();
+
+    const within = builder.build(results, { registry: null, manual: { '2A': 400 } });
+    expect(within.fields['2']).toBe(600);
+    expect(within.warnings).toEqual([]);
+
+    const over = builder.build(results, { registry: null, manual: { '2A': 1500 } });
+    expect(over.fields['2']).toBe(0);
+    expect(over.fields['2A']).toBe(1500);
+    expect(over.warnings[0]).toContain('Field 2A');
+  });
+
+  test('should apply TrCode capital-goods flags to VAT201 when only some transactions are kept', () => {
+    const registry = new TaxCodeRegistry();
+    registry.setTrCode('CAPEX', { description: 'Asset purchase', direction: 'input', capitalGoods: true });
+    const ledger = Buffer.from([
+      'TaxCode,TaxDescription,TrCode,TaxRate,TaxAmount,ExclAmount,InclAmount',
+      '1,Standard,SINV,15,15,100,115',
+      '1,Standard,CAPEX,15,150,1000,1150',
+      '1,Standard,CAPEX,15,30,200,230',
+      '1,Standard,INV,15,60,400,460'
+    ].join('\n'));
+    const source = { size: ledger.length, read: (start, end) => ledger.subarray(start, end) };
+    const results = new VatEngine({ registry, streamRowLimit: 1 }).runStream(source, { filename: 'assets.csv' });
+    expect(results.transactions).toHaveLength(1);
+
+    const vat201 = new Vat201Builder().build(results, { registry });
+    expect(vat201.fields['14']).toBe(180);
+    expect(vat201.fields['15']).toBe(15);
+    expect(vat201.approximate).toBe(false);
+
+    // Results from before capital totals were kept can only be split by tax code
+    Object.values(results.taxCodeBreakdown).forEach(breakdown => {
+      delete breakdown.input.capital;
+      delete breakdown.output.capital;
+    });
+    const approximate = new Vat201Builder().build(results, { registry });
+    expect(approximate.approximate).toBe(true);
+    expect(approximate.warnings[0]).toContain('tax code 1');
+  });
+
+  test('should keep vat-calculator-pro\'s copies of the shared modules up to date', () => {
+    expect(sharedModules).toEqual(expect.arrayContaining(['csv-parser.js', 'tax-code-registry.js']));
+    // Run npm run sync:shared after editing a shared module
+    expect(findStaleModules()).toEqual([]);
+  });
+});
@@ -70,11 +70,13 @@ function validateFile(file) {
 
     // Check file type
     const validTypes = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 
-                      'application/vnd.ms-excel'];
+                      'application/vnd.ms-excel',
+                      'text/csv',
+                      'text/tab-separated-values'];
+    const validExtensions = ['.xlsx', '.xls', '.csv', '.tsv'];
     if (!validTypes.includes(file.type) && 
-        !file.name.toLowerCase().endsWith('.xlsx') && 
-        !file.name.toLowerCase().endsWith('.xls')) {
-        showFileStatus('error', 'Invalid file type. Please upload a .xlsx or .xls file.');
+        !validExtensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
+        showFileStatus('error', 'Invalid file type. Please upload a .xlsx, .xls, .csv or .tsv file.');
         if (processBtn) processBtn.disabled = true;
         return;
     }
@@ -0,0 +1,452 @@
+/**
+ * Tax Code Registry for VAT Calculator Pro
+ * Single source of truth for tax codes (rate, supply category,
+ * capital-goods flag), transaction codes (input/output direction) and the
+ * effective-dated standard rate, used by the VAT engine, validators, the
+ * performance worker and exports
+ * Version: 1.0.0
+ */
+
+class TaxCodeRegistry {
+  constructor(config = {}) {
+    this.config = {
+      storageKey: config.storageKey || 'vatCalculatorTaxRegistry',
+      legacySettingsKey: config.legacySettingsKey || 'vatCalculatorSettings',
+      ...config
+    };
+
+    this.listeners = [];
+    this.registry = this.load();
+  }
+
+  /**
+   * Built-in SARS codes matching the original engine constants
+   */
+  static getDefaults() {
+    return {
+      version: 1,
+      taxCodes: {
+        '1': { description: 'Standard Rate (15%)', rate: 15, category: 'standard', capitalGoods: false },
+        '3': { description: 'Zero Rate (0%)', rate: 0, category: 'zero', capitalGoods: false },
+        '5': { description: 'Exempt (0%)', rate: 0, category: 'exempt', capitalGoods: false }
+      },
+      trCodes: {
+        CASH: { description: 'Cash Purchase', direction: 'input', capitalGoods: false },
+        JC: { description: 'Journal Credit', direction: 'input', capitalGoods: false },
+        JNL: { description: 'Journal Entry', direction: 'input', capitalGoods: false },
+        SINV: { description: 'Supplier Invoice', direction: 'input', capitalGoods: false },
+        JD: { description: 'Journal Debit', direction: 'input', capitalGoods: false },
+        RC: { description: 'Receipt', direction: 'input', capitalGoods: false },
+        IS: { description: 'Invoice Sale', direction: 'output', capitalGoods: false },
+        INV: { description: 'Invoice', direction: 'output', capitalGoods: false },
+        RTS: { description: 'Returns', direction: 'output', capitalGoods: false }
+      },
+      // Standard rate in force from each date (inclusive); applies to
+      // every tax code in the 'standard' category
+      rateSchedule: [
+        { effectiveFrom: '1991-09-30', rate: 10 },
+        { effectiveFrom: '1993-04-07', rate: 14 },
+        { effectiveFrom: '2018-04-01', rate: 15 }
+      ]
+    };
+  }
+
+  // Persistence
+
+  getStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  load() {
+    const storage = this.getStorage();
+    if (!storage) {
+      return TaxCodeRegistry.getDefaults();
+    }
+
+    try {
+      const saved = storage.getItem(this.config.storageKey);
+      if (saved) {
+        return this.normalize(JSON.parse(saved));
+      }
+      return this.migrateLegacySettings(storage);
+    } catch (error) {
+      console.warn('Failed to load tax code registry, using defaults:', error);
+      return TaxCodeRegistry.getDefaults();
+    }
+  }
+
+  /**
+   * Carry over TrCode lists previously kept in SettingsManager.trCodes
+   */
+  migrateLegacySettings(storage) {
+    const registry = TaxCodeRegistry.getDefaults();
+    const legacy = JSON.parse(storage.getItem(this.config.legacySettingsKey) || 'null');
+    if (!legacy || !legacy.trCodes) {
+      return registry;
+    }
+
+    ['input', 'output'].forEach(direction => {
+      (legacy.trCodes[direction] || []).forEach(code => {
+        const key = String(code).trim().toUpperCase();
+        if (key) {
+          registry.trCodes[key] = {
+            description: registry.trCodes[key] ? registry.trCodes[key].description : '',
+            direction,
+            capitalGoods: false
+          };
+        }
+      });
+    });
+
+    return registry;
+  }
+
+  save() {
+    const storage = this.getStorage();
+    if (storage) {
+      try {
+        storage.setItem(this.config.storageKey, JSON.stringify(this.registry));
+      } catch (error) {
+        console.warn('Failed to save tax code registry:', error);
+      }
+    }
+    this.listeners.forEach(listener => listener(this.registry));
+  }
+
+  /**
+   * Subscribe to registry changes; returns an unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  // Lookups
+
+  getTaxCodes() {
+    return this.registry.taxCodes;
+  }
+
+  getTaxCode(code) {
+    return this.registry.taxCodes[String(code)] || null;
+  }
+
+  /**
+   * 'standard', 'zero' or 'exempt'
+   */
+  getCategory(taxCode) {
+    const entry = this.getTaxCode(taxCode);
+    return entry ? entry.category : null;
+  }
+
+  isValidTaxCode(code) {
+    return Object.prototype.hasOwnProperty.call(this.registry.taxCodes, String(code));
+  }
+
+  getTrCodes() {
+    return this.registry.trCodes;
+  }
+
+  getInputCodes() {
+    return this.getCodesByDirection('input');
+  }
+
+  getOutputCodes() {
+    return this.getCodesByDirection('output');
+  }
+
+  getCodesByDirection(direction) {
+    return Object.keys(this.registry.trCodes).filter(code => this.registry.trCodes[code].direction === direction);
+  }
+
+  /**
+   * 'input', 'output' or null for an unknown transaction code
+   */
+  getDirection(trCode) {
+    const entry = this.registry.trCodes[String(trCode || '').toUpperCase()];
+    return entry ? entry.direction : null;
+  }
+
+  /**
+   * A row counts as capital goods when either its tax code or its
+   * transaction code is flagged
+   */
+  isCapitalGoods(taxCode, trCode) {
+    const tax = this.getTaxCode(taxCode);
+    const tr = this.registry.trCodes[String(trCode || '').toUpperCase()];
+    return !!((tax && tax.capitalGoods) || (tr && tr.capitalGoods));
+  }
+
+  // Effective-dated rates
+
+  getRateSchedule() {
+    return this.registry.rateSchedule;
+  }
+
+  /**
+   * 'YYYY-MM-DD' for a Date (local calendar day) or date-like value
+   */
+  toDateKey(value) {
+    if (!value) {
+      return null;
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Schedule entry in force on a date, or null before the first entry
+   */
+  getRatePeriod(date) {
+    const key = this.toDateKey(date);
+    if (!key) {
+      return null;
+    }
+    let period = null;
+    this.registry.rateSchedule.forEach(entry => {
+      if (entry.effectiveFrom <= key) {
+        period = entry;
+      }
+    });
+    return period;
+  }
+
+  /**
+   * Rate a row should carry on its TxDate: standard-category codes follow
+   * the schedule, other codes keep their fixed rate. Null for unknown codes.
+   */
+  getExpectedRate(taxCode, date) {
+    const entry = this.getTaxCode(taxCode);
+    if (!entry) {
+      return null;
+    }
+    if (entry.category !== 'standard') {
+      return entry.rate;
+    }
+    const period = this.getRatePeriod(date);
+    return period ? period.rate : entry.rate;
+  }
+
+  /**
+   * Rate changes that take effect after start and on or before end
+   */
+  getRateChangesBetween(start, end) {
+    const from = this.toDateKey(start);
+    const to = this.toDateKey(end);
+    if (!from || !to) {
+      return [];
+    }
+    return this.registry.rateSchedule.filter(entry => entry.effectiveFrom > from && entry.effectiveFrom <= to);
+  }
+
+  setRateChange(effectiveFrom, rate) {
+    const key = this.toDateKey(effectiveFrom);
+    const numericRate = Number(rate);
+    if (!key) {
+      throw new Error('A valid effective date is required.');
+    }
+    if (rate === '' || isNaN(numericRate) || numericRate < 0 || numericRate > 100) {
+      throw new Error(`Invalid rate for ${key}: ${rate}`);
+    }
+
+    this.registry.rateSchedule = this.registry.rateSchedule
+      .filter(entry => entry.effectiveFrom !== key)
+      .concat({ effectiveFrom: key, rate: numericRate })
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    this.save();
+  }
+
+  removeRateChange(effectiveFrom) {
+    this.registry.rateSchedule = this.registry.rateSchedule.filter(entry => entry.effectiveFrom !== effectiveFrom);
+    this.save();
+  }
+
+  // Editing
+
+  setTaxCode(code, { description = '', rate = 0, category, capitalGoods = false } = {}) {
+    const key = String(code).trim();
+    const numericRate = Number(rate);
+    if (!key) {
+      throw new Error('Tax code is required.');
+    }
+    if (isNaN(numericRate) || numericRate < 0 || numericRate > 100) {
+      throw new Error(`Invalid rate for tax code ${key}: ${rate}`);
+    }
+    if (category !== undefined && !TaxCodeRegistry.CATEGORIES.includes(category)) {
+      throw new Error(`Category for tax code ${key} must be one of: ${TaxCodeRegistry.CATEGORIES.join(', ')}.`);
+    }
+
+    this.registry.taxCodes[key] = {
+      description: String(description).trim() || `Tax Code ${key} (${numericRate}%)`,
+      rate: numericRate,
+      category: category || (numericRate > 0 ? 'standard' : 'zero'),
+      capitalGoods: !!capitalGoods
+    };
+    this.save();
+  }
+
+  removeTaxCode(code) {
+    delete this.registry.taxCodes[String(code)];
+    this.save();
+  }
+
+  setTrCode(code, { description = '', direction, capitalGoods = false } = {}) {
+    const key = String(code).trim().toUpperCase();
+    if (!key) {
+      throw new Error('Transaction code is required.');
+    }
+    if (direction !== 'input' && direction !== 'output') {
+      throw new Error(`Direction for ${key} must be "input" or "output".`);
+    }
+
+    this.registry.trCodes[key] = {
+      description: String(description).trim(),
+      direction,
+      capitalGoods: !!capitalGoods
+    };
+    this.save();
+  }
+
+  removeTrCode(code) {
+    delete this.registry.trCodes[String(code).toUpperCase()];
+    this.save();
+  }
+
+  reset() {
+    this.registry = TaxCodeRegistry.getDefaults();
+    this.save();
+  }
+
+  // Import / export
+
+  /**
+   * Deep copy of the registry, e.g. for worker scripts or audit snapshots
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.registry));
+  }
+
+  exportJSON() {
+    return JSON.stringify({ ...this.toJSON(), exportedAt: new Date().toISOString() }, null, 2);
+  }
+
+  /**
+   * Replace the registry with a previously exported JSON document
+   */
+  importJSON(text) {
+    let parsed;
+    try {
+      parsed = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+      throw new Error('The registry file is not valid JSON.');
+    }
+
+    if (!parsed || typeof parsed.taxCodes !== 'object' || typeof parsed.trCodes !== 'object') {
+      throw new Error('The registry file must contain "taxCodes" and "trCodes" objects.');
+    }
+
+    this.registry = this.normalize(parsed, true);
+    this.save();
+    return this.registry;
+  }
+
+  /**
+   * Coerce stored/imported data into the registry shape; strict mode
+   * rejects invalid entries instead of dropping them
+   */
+  normalize(data, strict = false) {
+    const registry = { version: 1, taxCodes: {}, trCodes: {}, rateSchedule: [] };
+
+    Object.entries(data.taxCodes || {}).forEach(([code, entry]) => {
+      const rate = Number(entry && entry.rate);
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        if (strict) {
+          throw new Error(`Invalid rate for tax code ${code}.`);
+        }
+        return;
+      }
+      let category = entry && entry.category;
+      if (!TaxCodeRegistry.CATEGORIES.includes(category)) {
+        if (strict && category !== undefined) {
+          throw new Error(`Invalid category for tax code ${code}.`);
+        }
+        category = rate > 0 ? 'standard' : 'zero';
+      }
+      registry.taxCodes[String(code)] = {
+        description: String((entry && entry.description) || ''),
+        rate,
+        category,
+        capitalGoods: !!(entry && entry.capitalGoods)
+      };
+    });
+
+    Object.entries(data.trCodes || {}).forEach(([code, entry]) => {
+      const direction = entry && entry.direction;
+      if (direction !== 'input' && direction !== 'output') {
+        if (strict) {
+          throw new Error(`Transaction code ${code} needs a direction of "input" or "output".`);
+        }
+        return;
+      }
+      registry.trCodes[String(code).toUpperCase()] = {
+        description: String((entry && entry.description) || ''),
+        direction,
+        capitalGoods: !!(entry && entry.capitalGoods)
+      };
+    });
+
+    registry.rateSchedule = this.normalizeRateSchedule(data.rateSchedule, strict);
+
+    if (strict && Object.keys(registry.taxCodes).length === 0) {
+      throw new Error('The registry must define at least one tax code.');
+    }
+
+    return registry;
+  }
+
+  normalizeRateSchedule(schedule, strict = false) {
+    if (!Array.isArray(schedule)) {
+      // Registries saved before rate history was added
+      return TaxCodeRegistry.getDefaults().rateSchedule;
+    }
+
+    const entries = [];
+    schedule.forEach(entry => {
+      const effectiveFrom = entry && /^\d{4}-\d{2}-\d{2}$/.test(entry.effectiveFrom) ? entry.effectiveFrom : null;
+      const rate = Number(entry && entry.rate);
+      if (!effectiveFrom || isNaN(rate) || rate < 0 || rate > 100) {
+        if (strict) {
+          throw new Error(`Invalid rate schedule entry: ${JSON.stringify(entry)}.`);
+        }
+        return;
+      }
+      entries.push({ effectiveFrom, rate });
+    });
+    return entries.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  }
+}
+
+TaxCodeRegistry.CATEGORIES = ['standard', 'zero', 'exempt'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaxCodeRegistry;
+}
+
+if (typeof window !== 'undefined') {
+  window.taxCodeRegistry = new TaxCodeRegistry();
+}
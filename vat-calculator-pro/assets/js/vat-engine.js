@@ -1,15 +1,11 @@
 // VAT Calculator Pro - Core Calculation Engine
 // Preserves all working calculation logic from the original monolithic application
 
-// South African VAT Configuration
-const TAX_CODES = {
-    '1': { description: 'Standard Rate VAT (15%)', rate: 15 },
-    '3': { description: 'Zero Rated VAT (0%)', rate: 0 },
-    '5': { description: 'Exempt VAT (0%)', rate: 0 }
-};
-
-const VAT_INPUT_CODES = ['CASH', 'JC', 'JNL', 'SINV', 'JD', 'RC'];
-const VAT_OUTPUT_CODES = ['IS', 'INV', 'RTS'];
+// South African VAT Configuration - tax codes, rates and TrCode directions
+// come from the shared tax code registry (tax-code-registry.js)
+const taxCodeRegistry = typeof window !== 'undefined' && window.taxCodeRegistry
+    ? window.taxCodeRegistry
+    : new (require('./tax-code-registry.js'))();
 
 // Global variables
 let currentFile = null;
@@ -31,10 +27,12 @@ function calculateVAT(data) {
     };
 
     // Initialize tax code breakdowns
-    for (const [code, info] of Object.entries(TAX_CODES)) {
+    for (const [code, info] of Object.entries(taxCodeRegistry.getTaxCodes())) {
         results.taxCodeBreakdown[code] = {
             description: info.description,
             rate: info.rate,
+            category: info.category,
+            capitalGoods: info.capitalGoods,
             input: {
                 count: 0,
                 vatAmount: 0,
@@ -58,8 +56,9 @@ function calculateVAT(data) {
         const exclAmount = row.ExclAmount;
 
         // Determine if this is INPUT or OUTPUT
-        const isInput = VAT_INPUT_CODES.includes(trCode);
-        const isOutput = VAT_OUTPUT_CODES.includes(trCode);
+        const direction = taxCodeRegistry.getDirection(trCode);
+        const isInput = direction === 'input';
+        const isOutput = direction === 'output';
 
         if (!isInput && !isOutput) {
             console.warn(`Unknown TrCode: ${trCode}, skipping transaction`);
@@ -92,8 +91,8 @@ function calculateVAT(data) {
             results.totalOutputVAT += taxAmount;
             results.salesExcludingVAT += exclAmount;
             
-            // Zero-rated sales (Tax Code 3)
-            if (taxCode === '3') {
+            // Zero-rated sales (registry category 'zero', Tax Code 3 by default)
+            if (taxCodeRegistry.getCategory(taxCode) === 'zero') {
                 results.zeroRatedSales += exclAmount;
             }
         }
@@ -140,7 +139,7 @@ function validateExcelData(workbook) {
         const rowNum = index + 2; // Excel row number (accounting for header)
 
         // Validate TaxCode
-        if (!TAX_CODES[String(row.TaxCode)]) {
+        if (!taxCodeRegistry.isValidTaxCode(row.TaxCode)) {
             console.warn(`Row ${rowNum}: Invalid TaxCode "${row.TaxCode}", skipping`);
             return null;
         }
@@ -188,10 +187,15 @@ function validateExcelData(workbook) {
 
 /**
  * Reads Excel file using XLSX library - WORKING LOGIC PRESERVED
+ * CSV/TSV files are parsed by CsvParser into an equivalent workbook
  * @param {File} file - File object from file input
  * @returns {Promise<Object>} - XLSX workbook object
  */
 function readExcelFile(file) {
+    if (typeof window !== 'undefined' && window.csvParser && window.csvParser.isDelimitedFile(file)) {
+        return window.csvParser.readFile(file);
+    }
+
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = function(e) {
@@ -322,8 +326,6 @@ if (typeof module !== 'undefined' && module.exports) {
         readExcelFile,
         processFile,
         formatCurrency,
-        TAX_CODES,
-        VAT_INPUT_CODES,
-        VAT_OUTPUT_CODES
+        taxCodeRegistry
     };
 }